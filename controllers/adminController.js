@@ -0,0 +1,511 @@
+import User from '../models/User.js';
+import Job from '../models/Job.js';
+import Company from '../models/Company.js';
+import Application from '../models/Application.js';
+import Session from '../models/Session.js';
+import CompanyVerification from '../models/CompanyVerification.js';
+import CompanyReview from '../models/CompanyReview.js';
+import { escapeRegex } from '../utils/text.js';
+import { resolveUploadPath } from '../utils/upload.js';
+import { reconcileCounters } from '../utils/reconcileCounters.js';
+import { sendEmail } from '../utils/sendEmail.js';
+import { companyVerificationResultEmail } from '../utils/emailTemplates.js';
+
+// @desc    List and search users
+// @route   GET /api/admin/users
+// @access  Private (Admin)
+export const getUsers = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, search, userType, isActive } = req.query;
+
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+    if (userType) filter.userType = userType;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const users = await User.find(filter)
+      .populate('company', 'name isVerified')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Activate / deactivate a user
+// @route   PUT /api/admin/users/:id/status
+// @access  Private (Admin)
+export const updateUserStatus = async (req, res) => {
+  try {
+    const { isActive } = req.body;
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change the status of your own account'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { isActive },
+      { new: true, runValidators: true }
+    );
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Khóa tài khoản thì đăng xuất khỏi mọi thiết bị
+    if (!isActive) {
+      await Session.revokeAllForUser(user._id, 'deactivated_by_admin');
+    }
+
+    res.json({
+      success: true,
+      message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Admin update user status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Feature / unfeature a job
+// @route   PUT /api/admin/jobs/:id/featured
+// @access  Private (Admin)
+export const updateJobFeatured = async (req, res) => {
+  try {
+    const job = await Job.findByIdAndUpdate(
+      req.params.id,
+      { isFeatured: req.body.isFeatured },
+      { new: true, runValidators: true }
+    ).populate('company', 'name');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Job ${job.isFeatured ? 'featured' : 'unfeatured'} successfully`,
+      data: { job }
+    });
+
+  } catch (error) {
+    console.error('Admin update job featured error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Activate / deactivate a job
+// @route   PUT /api/admin/jobs/:id/status
+// @access  Private (Admin)
+export const updateJobStatus = async (req, res) => {
+  try {
+    // Admin ẩn tin = đóng tin; mở lại = đăng lại
+    const job = await Job.findByIdAndUpdate(
+      req.params.id,
+      req.body.isActive
+        ? { status: 'published', $unset: { closedAt: 1, expiredAt: 1 } }
+        : { status: 'closed', closedAt: new Date() },
+      { new: true, runValidators: true }
+    ).populate('company', 'name');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Job ${job.isActive ? 'activated' : 'deactivated'} successfully`,
+      data: { job }
+    });
+
+  } catch (error) {
+    console.error('Admin update job status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Verify / unverify a company
+// @route   PUT /api/admin/companies/:id/verification
+// @access  Private (Admin)
+export const updateCompanyVerification = async (req, res) => {
+  try {
+    const { isVerified } = req.body;
+    const company = await Company.findByIdAndUpdate(
+      req.params.id,
+      {
+        isVerified,
+        verificationStatus: isVerified ? 'verified' : 'unverified',
+        verifiedAt: isVerified ? new Date() : null
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Company ${company.isVerified ? 'verified' : 'unverified'} successfully`,
+      data: { company }
+    });
+
+  } catch (error) {
+    console.error('Admin update company verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Verification review queue
+// @route   GET /api/admin/verifications
+// @access  Private (Admin)
+export const getVerificationRequests = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'pending' } = req.query;
+
+    const filter = status === 'all' ? {} : { status };
+
+    // Hàng chờ duyệt: hồ sơ cũ nhất lên trước
+    const verifications = await CompanyVerification.find(filter)
+      .populate('company', 'name email city taxCode isVerified')
+      .populate('submittedBy', 'name email')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await CompanyVerification.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        verifications,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get verifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Approve / reject a verification request
+// @route   PUT /api/admin/verifications/:id
+// @access  Private (Admin)
+export const reviewVerificationRequest = async (req, res) => {
+  try {
+    const { decision, reason } = req.body;
+
+    const verification = await CompanyVerification.findById(req.params.id).populate('submittedBy', 'name email');
+
+    if (!verification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Verification request not found'
+      });
+    }
+
+    if (verification.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification request has already been reviewed'
+      });
+    }
+
+    if (decision === 'approve') {
+      const taxCodeTaken = await Company.exists({ _id: { $ne: verification.company }, taxCode: verification.taxCode });
+      if (taxCodeTaken) {
+        return res.status(409).json({
+          success: false,
+          message: 'This tax code is already registered to another company'
+        });
+      }
+    }
+
+    const company = decision === 'approve'
+      ? await verification.approve(req.user)
+      : await verification.reject(req.user, reason);
+
+    if (company && verification.submittedBy) {
+      try {
+        const email = companyVerificationResultEmail(verification.submittedBy, company, decision === 'approve', reason);
+        await sendEmail({ to: verification.submittedBy.email, ...email });
+      } catch (mailError) {
+        console.error('Send verification result email error:', mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: `Verification request ${decision === 'approve' ? 'approved' : 'rejected'} successfully`,
+      data: { verification, company }
+    });
+
+  } catch (error) {
+    console.error('Admin review verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Download a verification document
+// @route   GET /api/admin/verifications/:id/documents/:index
+// @access  Private (Admin)
+export const downloadVerificationDocument = async (req, res) => {
+  try {
+    const verification = await CompanyVerification.findById(req.params.id);
+    const document = verification && verification.documents[req.params.index];
+    const filePath = document && resolveUploadPath(document.path);
+
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    res.download(filePath, document.originalName || 'document.pdf', (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: 'Document not found'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin download verification document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reported reviews for moderation
+// @route   GET /api/admin/reviews
+// @access  Private (Admin)
+export const getReportedReviews = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, isHidden } = req.query;
+
+    const filter = { reportCount: { $gt: 0 } };
+    if (isHidden !== undefined) filter.isHidden = isHidden === 'true';
+
+    // lean() để admin thấy cả tác giả ẩn danh và nội dung báo cáo
+    const reviews = await CompanyReview.find(filter)
+      .populate('company', 'name')
+      .populate('author', 'name email')
+      .populate('reports.user', 'name email')
+      .sort({ reportCount: -1, updatedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await CompanyReview.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get reported reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Hide / restore a review
+// @route   PUT /api/admin/reviews/:id/visibility
+// @access  Private (Admin)
+export const updateReviewVisibility = async (req, res) => {
+  try {
+    const review = await CompanyReview.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    review.isHidden = req.body.isHidden;
+    // Khôi phục = đã xem xét, bỏ các báo cáo cũ
+    if (!review.isHidden) {
+      review.reports = [];
+      review.reportCount = 0;
+    }
+    await review.save();
+
+    res.json({
+      success: true,
+      message: `Review ${review.isHidden ? 'hidden' : 'restored'} successfully`,
+      data: { review }
+    });
+
+  } catch (error) {
+    console.error('Admin update review visibility error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Recompute jobCount / applicationCount / followerCount
+// @route   POST /api/admin/maintenance/reconcile-counters
+// @access  Private (Admin)
+export const runCounterReconciliation = async (req, res) => {
+  try {
+    const report = await reconcileCounters({ dryRun: req.query.dryRun === 'true' });
+
+    res.json({
+      success: true,
+      message: report.dryRun ? 'Dry run completed, nothing was changed' : 'Counters reconciled successfully',
+      data: { report }
+    });
+
+  } catch (error) {
+    console.error('Admin reconcile counters error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Platform-wide statistics
+// @route   GET /api/admin/statistics
+// @access  Private (Admin)
+export const getPlatformStatistics = async (req, res) => {
+  try {
+    const oneWeekAgo = new Date();
+    oneWeekAgo.setDate(oneWeekAgo.getDate() - 7);
+
+    const [applicationStats, recentApplications, userStats, totalJobs, activeJobs, totalCompanies, verifiedCompanies] =
+      await Promise.all([
+        Application.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+        Application.countDocuments({ appliedAt: { $gte: oneWeekAgo } }),
+        User.aggregate([{ $group: { _id: '$userType', count: { $sum: 1 } } }]),
+        Job.countDocuments(),
+        Job.countDocuments({ isActive: true }),
+        Company.countDocuments(),
+        Company.countDocuments({ isVerified: true })
+      ]);
+
+    const statistics = {
+      applications: {
+        total: applicationStats.reduce((sum, stat) => sum + stat.count, 0),
+        recent: recentApplications,
+        byStatus: {}
+      },
+      users: { byType: {} },
+      jobs: { total: totalJobs, active: activeJobs },
+      companies: { total: totalCompanies, verified: verifiedCompanies }
+    };
+
+    applicationStats.forEach(stat => {
+      statistics.applications.byStatus[stat._id] = stat.count;
+    });
+    userStats.forEach(stat => {
+      statistics.users.byType[stat._id] = stat.count;
+    });
+
+    res.json({
+      success: true,
+      data: { statistics }
+    });
+
+  } catch (error) {
+    console.error('Admin get statistics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
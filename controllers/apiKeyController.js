@@ -0,0 +1,89 @@
+import ApiKey from '../models/ApiKey.js';
+
+// @desc    Create an API key
+// @route   POST /api/auth/api-keys
+// @access  Private (Employer)
+export const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    const apiKey = new ApiKey({
+      employer: req.user._id,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiresAt ? new Date(expiresAt) : null
+    });
+    const key = apiKey.generateKey();
+    await apiKey.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      data: { apiKey, key }
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List API keys
+// @route   GET /api/auth/api-keys
+// @access  Private (Employer)
+export const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ employer: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { apiKeys }
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api/auth/api-keys/:id
+// @access  Private (Employer)
+export const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, employer: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      data: { apiKey }
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
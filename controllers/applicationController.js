@@ -1,6 +1,8 @@
 import Application from '../models/Application.js';
 import Job from '../models/Job.js';
 import User from '../models/User.js';
+import Company, { COMPANY_MANAGE_ROLES } from '../models/Company.js';
+import { paginate } from '../utils/pagination.js';
 
 // @desc    Apply for a job
 // @route   POST /api/applications
@@ -41,7 +43,8 @@ export const applyForJob = async (req, res) => {
       job: jobId,
       applicant: studentId,
       coverLetter,
-      appliedAt: new Date()
+      appliedAt: new Date(),
+      jobVersion: job.version
     });
 
     await application.populate('job', 'title company');
@@ -68,14 +71,30 @@ export const applyForJob = async (req, res) => {
 // @access  Private (Student)
 export const getStudentApplications = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status } = req.query;
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      after,
+      before,
+      includeTotal,
+      sortBy = 'appliedAt',
+      sortOrder = 'desc'
+    } = req.query;
     const studentId = req.user.id;
 
     const filter = { applicant: studentId };
     if (status) filter.status = status;
 
-    const applications = await Application.find(filter)
-      .populate({
+    const result = await paginate(Application, filter, {
+      sortField: sortBy,
+      sortOrder,
+      page,
+      limit,
+      after,
+      before,
+      includeTotal,
+      buildQuery: (query) => query.populate({
         path: 'job',
         select: 'title company salary location jobType category isActive applicationDeadline',
         populate: {
@@ -83,21 +102,20 @@ export const getStudentApplications = async (req, res) => {
           select: 'name logo industry'
         }
       })
-      .sort({ appliedAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    });
 
-    const total = await Application.countDocuments(filter);
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
 
     res.json({
       success: true,
       data: {
-        applications,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
-          total
-        }
+        applications: result.items,
+        pagination: result.pagination
       }
     });
 
@@ -116,10 +134,20 @@ export const getStudentApplications = async (req, res) => {
 // @access  Private (Employer)
 export const getEmployerApplications = async (req, res) => {
   try {
-    const { page = 1, limit = 10, jobId, status, sortBy = 'appliedAt', sortOrder = 'desc' } = req.query;
-    const employerId = req.user.id;
-
-    const jobFilter = { employer: employerId };
+    const {
+      page = 1,
+      limit = 10,
+      jobId,
+      status,
+      after,
+      before,
+      includeTotal,
+      sortBy = 'appliedAt',
+      sortOrder = 'desc'
+    } = req.query;
+    // Hồ sơ của tất cả tin thuộc công ty mà user là thành viên
+    const companyIds = await Company.findIdsForMember(req.user);
+    const jobFilter = { company: { $in: companyIds } };
     if (jobId) jobFilter._id = jobId;
 
     const employerJobs = await Job.find(jobFilter).select('_id');
@@ -128,34 +156,38 @@ export const getEmployerApplications = async (req, res) => {
     const applicationFilter = { job: { $in: jobIds } };
     if (status) applicationFilter.status = status;
 
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const applications = await Application.find(applicationFilter)
-      .populate({
-        path: 'job',
-        select: 'title company salary location',
-        populate: {
-          path: 'company',
-          select: 'name logo'
-        }
-      })
-      .populate('applicant', 'name email phone school major skills resume')
-      .sort(sortOptions)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const result = await paginate(Application, applicationFilter, {
+      sortField: sortBy,
+      sortOrder,
+      page,
+      limit,
+      after,
+      before,
+      includeTotal,
+      buildQuery: (query) => query
+        .populate({
+          path: 'job',
+          select: 'title company salary location',
+          populate: {
+            path: 'company',
+            select: 'name logo'
+          }
+        })
+        .populate('applicant', 'name email phone school major skills resume')
+    });
 
-    const total = await Application.countDocuments(applicationFilter);
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
 
     res.json({
       success: true,
       data: {
-        applications,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
-          total
-        }
+        applications: result.items,
+        pagination: result.pagination
       }
     });
 
@@ -178,7 +210,7 @@ export const updateApplicationStatus = async (req, res) => {
     const employerId = req.user.id;
 
     const application = await Application.findById(req.params.id)
-      .populate({ path: 'job', select: 'employer' });
+      .populate({ path: 'job', select: 'employer company' });
 
     if (!application) {
       return res.status(404).json({
@@ -187,7 +219,9 @@ export const updateApplicationStatus = async (req, res) => {
       });
     }
 
-    if (application.job.employer.toString() !== employerId) {
+    // Chỉ owner/recruiter của công ty mới được xử lý hồ sơ
+    const company = await Company.findById(application.job.company);
+    if (!company || !company.hasMemberRole(req.user, COMPANY_MANAGE_ROLES)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this application'
@@ -233,9 +267,8 @@ export const updateApplicationStatus = async (req, res) => {
 // @access  Private (Employer)
 export const getApplicationStatistics = async (req, res) => {
   try {
-    const employerId = req.user.id;
-
-    const employerJobs = await Job.find({ employer: employerId }).select('_id');
+    const companyIds = await Company.findIdsForMember(req.user);
+    const employerJobs = await Job.find({ company: { $in: companyIds } }).select('_id');
     const jobIds = employerJobs.map(job => job._id);
 
     const stats = await Application.aggregate([
@@ -1,7 +1,99 @@
 import User from '../models/User.js';
 import Company from '../models/Company.js';
-import { generateToken } from '../utils/generateToken.js';
+import Session from '../models/Session.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import {
+  generateToken,
+  issueAuthTokens,
+  generateEmailVerificationToken,
+  verifyEmailVerificationToken,
+  generateTwoFactorChallengeToken,
+  verifyTwoFactorChallengeToken
+} from '../utils/generateToken.js';
+import {
+  generateTotpSecret,
+  getTotpUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from '../utils/totp.js';
+import { sendEmail } from '../utils/sendEmail.js';
+import { verificationEmail, passwordResetEmail, accountLockedEmail } from '../utils/emailTemplates.js';
 import { validationResult } from 'express-validator';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+const sendVerificationEmail = async (user) => {
+  const token = generateEmailVerificationToken(user);
+  await sendEmail({ to: user.email, ...verificationEmail(user, token) });
+};
+
+// 423 khi tài khoản bị khóa, 429 khi IP bị chặn
+const sendLockedResponse = (res, lock) => {
+  res.set('Retry-After', String(lock.retryAfter));
+  return res.status(lock.scope === 'account' ? 423 : 429).json({
+    success: false,
+    message: lock.scope === 'account'
+      ? 'Account is temporarily locked due to too many failed login attempts'
+      : 'Too many failed login attempts from this IP address',
+    retryAfter: lock.retryAfter
+  });
+};
+
+// Ghi nhận đăng nhập sai, gửi email cho chủ tài khoản khi vừa bị khóa
+const handleFailedLogin = async (res, identifiers, user) => {
+  const triggered = await LoginAttempt.registerFailure(identifiers);
+  const accountLock = triggered.find(lock => lock.scope === 'account');
+
+  if (accountLock && user) {
+    try {
+      await sendEmail({ to: user.email, ...accountLockedEmail(user, accountLock.lockUntil) });
+    } catch (mailError) {
+      console.error('Send account locked email error:', mailError);
+    }
+  }
+
+  if (triggered.length > 0) {
+    return sendLockedResponse(res, accountLock || triggered[0]);
+  }
+
+  return res.status(401).json({
+    success: false,
+    message: 'Invalid credentials'
+  });
+};
+
+// Kiểm tra mã TOTP hoặc mã khôi phục (user cần select các trường twoFactor*)
+// Đánh dấu đã dùng bằng update có điều kiện: 2 request đồng thời không dùng lại được cùng 1 mã TOTP / mã khôi phục
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactorSecret, code);
+    if (step === null) return false;
+
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, $or: [{ twoFactorLastUsedStep: { $lt: step } }, { twoFactorLastUsedStep: null }] },
+      { $set: { twoFactorLastUsedStep: step } }
+    );
+    return modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const hashed = hashRecoveryCode(recoveryCode);
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, twoFactorRecoveryCodes: hashed },
+      { $pull: { twoFactorRecoveryCodes: hashed } }
+    );
+    return modifiedCount === 1;
+  }
+
+  return false;
+};
+
+const issueRecoveryCodes = (user) => {
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactorRecoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  return recoveryCodes;
+};
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -30,11 +122,11 @@ export const register = async (req, res) => {
 
     let company = null;
     
-    // If employer, create or link company
+    // If employer, create company (công ty đã tồn tại thì phải được owner mời vào)
     if (userType === 'employer' && companyInfo) {
-      company = await Company.findOne({ email: companyInfo.email });
+      const existingCompany = await Company.findOne({ email: companyInfo.email });
       
-      if (!company) {
+      if (!existingCompany) {
         company = await Company.create({
           name: companyInfo.name,
           email: companyInfo.email,
@@ -56,17 +148,30 @@ export const register = async (req, res) => {
       ...(userType === 'student' ? studentInfo : {})
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Người tạo công ty là owner
+    if (company) {
+      company.members.push({ user: user._id, role: 'owner' });
+      await company.save();
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await issueAuthTokens(user, req);
 
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
+    // Gửi email xác thực - lỗi gửi mail không làm hỏng việc đăng ký
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Send verification email error:', mailError);
+    }
+
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
-      data: { user, token }
+      data: { user, token, refreshToken }
     });
 
   } catch (error) {
@@ -94,14 +199,18 @@ export const login = async (req, res) => {
       });
     }
 
+    // Chặn nếu tài khoản hoặc IP đang bị khóa
+    const identifiers = { account: email, ip: req.ip };
+    const activeLock = await LoginAttempt.getActiveLock(identifiers);
+    if (activeLock) {
+      return sendLockedResponse(res, activeLock);
+    }
+
     // Find user and include password for comparison
     const user = await User.findOne({ email }).select('+password').populate('company');
     
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
+      return handleFailedLogin(res, identifiers, null);
     }
 
     if (!user.isActive) {
@@ -114,14 +223,26 @@ export const login = async (req, res) => {
     // Check password
     const isPasswordMatch = await user.comparePassword(password);
     if (!isPasswordMatch) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
+      return handleFailedLogin(res, identifiers, user);
+    }
+
+    // Bật 2FA: chưa cấp token, trả về challenge token để xác thực bước 2.
+    // Bộ đếm lần sai chỉ xóa khi đăng nhập xong hoàn toàn (sau bước 2), để không reset được số lần nhập sai mã
+    if (user.twoFactorEnabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          requiresTwoFactor: true,
+          challengeToken: generateTwoFactorChallengeToken(user)
+        }
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    await LoginAttempt.clearFailures({ account: email });
+
+    // Generate tokens
+    const { token, refreshToken } = await issueAuthTokens(user, req);
 
     // Update last login
     user.lastLogin = new Date();
@@ -130,7 +251,7 @@ export const login = async (req, res) => {
     res.json({
       success: true,
       message: 'Login successful',
-      data: { user, token }
+      data: { user, token, refreshToken }
     });
 
   } catch (error) {
@@ -232,9 +353,14 @@ export const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Đăng xuất các thiết bị khác, cấp access token mới cho phiên hiện tại
+    await Session.revokeAllForUser(user._id, 'password_change', req.authSession._id);
+    const token = generateToken(user._id, req.authSession._id);
+
     res.json({
       success: true,
-      message: 'Password updated successfully'
+      message: 'Password updated successfully',
+      data: { token }
     });
 
   } catch (error) {
@@ -246,3 +372,568 @@ export const changePassword = async (req, res) => {
     });
   }
 };
+
+// @desc    Verify email address
+// @route   POST /api/auth/verify-email
+// @access  Public
+export const verifyEmail = async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = verifyEmailVerificationToken(req.body.token);
+    } catch (tokenError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(decoded.id);
+
+    // Token chỉ hợp lệ cho email tại thời điểm gửi
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    if (!user.isVerified) {
+      user.isVerified = true;
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Resend verification email
+// @route   POST /api/auth/resend-verification
+// @access  Private
+export const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Send password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+export const forgotPassword = async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Luôn trả về cùng một thông báo để không lộ email nào đã đăng ký
+    if (user && user.isActive) {
+      const resetToken = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendEmail({ to: user.email, ...passwordResetEmail(user, resetToken) });
+      } catch (mailError) {
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        await user.save();
+        throw mailError;
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for this email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reset password with token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+export const resetPassword = async (req, res) => {
+  try {
+    const hashedToken = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+    // Xóa token nguyên tử để link chỉ dùng được một lần (2 request cùng lúc thì chỉ 1 request giành được)
+    const user = await User.findOneAndUpdate(
+      {
+        resetPasswordToken: hashedToken,
+        resetPasswordExpire: { $gt: new Date() }
+      },
+      { $unset: { resetPasswordToken: 1, resetPasswordExpire: 1 } },
+      { new: true }
+    ).select('+password');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reset link is invalid or has expired'
+      });
+    }
+
+    user.password = req.body.password;
+    await user.save();
+
+    // Đăng xuất tất cả thiết bị
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please log in with your new password'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Exchange refresh token for new tokens (rotation)
+// @route   POST /api/auth/refresh
+// @access  Public
+export const refreshToken = async (req, res) => {
+  try {
+    const parsed = Session.parseRefreshToken(req.body.refreshToken);
+    const session = parsed
+      ? await Session.findById(parsed.sessionId).select('+refreshTokenHash')
+      : null;
+
+    if (!session || !session.isValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is invalid or has expired'
+      });
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+      await session.revoke('account_inactive');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is deactivated'
+      });
+    }
+
+    // Refresh token cũ bị dùng lại (hoặc 2 request cùng đổi 1 token) => có thể đã bị đánh cắp, thu hồi cả session
+    const newRefreshToken = await session.exchangeRefreshToken(parsed.secret, { ip: req.ip });
+    if (!newRefreshToken) {
+      await session.revoke('refresh_token_reuse');
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token is invalid or has expired'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: generateToken(user._id, session._id),
+        refreshToken: newRefreshToken
+      }
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Logout current session
+// @route   POST /api/auth/logout
+// @access  Private
+export const logout = async (req, res) => {
+  try {
+    await req.authSession.revoke('logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List active sessions (devices)
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session._id.equals(req.authSession._id)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke a session (log out a device)
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+export const revokeSession = async (req, res) => {
+  try {
+    const session = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null })
+      : null;
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await session.revoke('revoked_by_user');
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke all other sessions
+// @route   DELETE /api/auth/sessions
+// @access  Private
+export const revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'revoked_by_user', req.authSession._id);
+
+    res.json({
+      success: true,
+      message: 'All other sessions have been revoked',
+      data: { revoked: result.modifiedCount }
+    });
+
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/2fa/verify
+// @access  Public
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = verifyTwoFactorChallengeToken(challengeToken);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired, please log in again'
+      });
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep')
+      .populate('company');
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Login challenge is invalid or has expired, please log in again'
+      });
+    }
+
+    // Mã 2FA sai cũng tính vào giới hạn đăng nhập sai
+    const identifiers = { account: user.email, ip: req.ip };
+    const activeLock = await LoginAttempt.getActiveLock(identifiers);
+    if (activeLock) {
+      return sendLockedResponse(res, activeLock);
+    }
+
+    if (!(await checkSecondFactor(user, { code, recoveryCode }))) {
+      return handleFailedLogin(res, identifiers, user);
+    }
+
+    await LoginAttempt.clearFailures({ account: user.email });
+
+    const { token, refreshToken } = await issueAuthTokens(user, req);
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: {
+        user,
+        token,
+        refreshToken,
+        recoveryCodesRemaining: recoveryCode ? user.twoFactorRecoveryCodes.length - 1 : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('Verify two-factor login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Start 2FA enrollment (generate secret + otpauth URI)
+// @route   POST /api/auth/2fa/setup
+// @access  Private (Employer)
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateTotpSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUrl: getTotpUri(secret, user.email)
+      }
+    });
+
+  } catch (error) {
+    console.error('Setup two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Confirm 2FA enrollment with the first code
+// @route   POST /api/auth/2fa/enable
+// @access  Private (Employer)
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+twoFactorPendingSecret');
+
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please start two-factor setup first'
+      });
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes in a safe place.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private (Employer)
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user.id)
+      .select('+password +twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const isPasswordMatch = await user.comparePassword(password);
+    if (!isPasswordMatch || !(await checkSecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = [];
+    user.twoFactorLastUsedStep = undefined;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Regenerate 2FA recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private (Employer)
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+      .select('+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep');
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!(await checkSecondFactor(user, { code: req.body.code }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. Previous codes no longer work.',
+      data: { recoveryCodes }
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,765 @@
+import Company, { COMPANY_ROLES } from '../models/Company.js';
+import CompanyInvitation from '../models/CompanyInvitation.js';
+import CompanyVerification from '../models/CompanyVerification.js';
+import CompanyFollow from '../models/CompanyFollow.js';
+import User from '../models/User.js';
+import Job from '../models/Job.js';
+import { sendEmail } from '../utils/sendEmail.js';
+import { companyInvitationEmail } from '../utils/emailTemplates.js';
+import { deleteUploadedFile } from '../utils/upload.js';
+import { escapeRegex } from '../utils/text.js';
+import { parseCoordinates } from '../utils/geocoding.js';
+
+// Mã số thuế: 10 số, chi nhánh thêm -XXX
+const TAX_CODE_PATTERN = /^\d{10}(-\d{3})?$/;
+
+// Các trường owner được phép sửa
+const EDITABLE_COMPANY_FIELDS = [
+  'name', 'description', 'website', 'industry', 'size', 'founded',
+  'address', 'city', 'district', 'phone', 'email', 'socialMedia'
+];
+
+// Đổi các trường nhận diện thì công ty đã xác minh mất huy hiệu, phải gửi xác minh lại (tránh đổi tên giả mạo thương hiệu khác)
+const IDENTITY_COMPANY_FIELDS = ['name', 'website', 'email'];
+
+// Tìm công ty theo req.params.id và kiểm tra vai trò của user, tự trả 404/403
+const getCompanyForMember = async (req, res, roles = COMPANY_ROLES) => {
+  const company = await Company.findById(req.params.id);
+
+  if (!company) {
+    res.status(404).json({
+      success: false,
+      message: 'Company not found'
+    });
+    return null;
+  }
+
+  if (!company.hasMemberRole(req.user, roles)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to access this company'
+    });
+    return null;
+  }
+
+  return company;
+};
+
+// Chuyển công ty cũ (chưa có members) sang danh sách thành viên trước khi chỉnh sửa
+const ensureMembersInitialized = (company, user) => {
+  if (company.members.length === 0 && company.getMemberRole(user) === 'owner') {
+    company.members.push({ user: user._id, role: 'owner' });
+  }
+};
+
+const countOwners = (company) => company.members.filter(m => m.role === 'owner').length;
+
+// Lưu ảnh mới (logo/ảnh bìa) và xóa file cũ
+const saveCompanyImage = async (req, res, field, label) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Please upload an image file'
+    });
+  }
+
+  const company = await getCompanyForMember(req, res, ['owner']);
+  if (!company) {
+    await deleteUploadedFile(`/uploads/company/${req.file.filename}`);
+    return;
+  }
+
+  const previousImage = company[field];
+  company[field] = `/uploads/company/${req.file.filename}`;
+  await company.save();
+  await deleteUploadedFile(previousImage);
+
+  res.json({
+    success: true,
+    message: `${label} uploaded successfully`,
+    data: { company }
+  });
+};
+
+// @desc    List / search companies
+// @route   GET /api/companies
+// @access  Public
+export const getCompanies = async (req, res) => {
+  try {
+    const { page = 1, limit = 12, search, city, industry, size, verified } = req.query;
+
+    const filter = { isActive: true };
+    if (search) filter.name = new RegExp(escapeRegex(search), 'i');
+    if (city) filter.city = new RegExp(escapeRegex(city), 'i');
+    if (industry) filter.industry = new RegExp(escapeRegex(industry), 'i');
+    if (size) filter.size = size;
+    if (verified !== undefined) filter.isVerified = verified === 'true';
+
+    const companies = await Company.find(filter)
+      .select('-members')
+      .sort({ isVerified: -1, jobCount: -1, name: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Company.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        companies,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get companies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get company page with active jobs
+// @route   GET /api/companies/:id
+// @access  Public (optional auth for isFollowing)
+export const getCompany = async (req, res) => {
+  try {
+    const company = await Company.findOne({ _id: req.params.id, isActive: true }).select('-members');
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const jobs = await Job.find({ company: company._id, isActive: true })
+      .select('title salary location jobType category applicationDeadline isFeatured createdAt')
+      .sort({ isFeatured: -1, createdAt: -1 });
+
+    const isFollowing = req.user
+      ? Boolean(await CompanyFollow.exists({ user: req.user._id, company: company._id }))
+      : false;
+
+    res.json({
+      success: true,
+      data: { company, jobs, isFollowing }
+    });
+
+  } catch (error) {
+    console.error('Get company error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update company profile
+// @route   PUT /api/companies/:id
+// @access  Private (Company owner)
+export const updateCompany = async (req, res) => {
+  try {
+    const company = await getCompanyForMember(req, res, ['owner']);
+    if (!company) return;
+
+    EDITABLE_COMPANY_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) company[field] = req.body[field];
+    });
+
+    const identityChanged = company.isVerified && IDENTITY_COMPANY_FIELDS.some(field => company.isModified(field));
+    if (identityChanged) {
+      company.isVerified = false;
+      company.verificationStatus = 'unverified';
+      company.verifiedAt = undefined;
+    }
+
+    // Tọa độ nhập tay; không gửi thì geocode lại khi đổi địa chỉ
+    const geo = parseCoordinates(req.body.lat, req.body.lng);
+    if (geo) {
+      company.geo = geo;
+      company.geoSource = 'manual';
+    }
+    await company.save();
+
+    res.json({
+      success: true,
+      message: identityChanged
+        ? 'Company updated successfully. Please submit verification again because the company name, website or email changed.'
+        : 'Company updated successfully',
+      data: { company }
+    });
+
+  } catch (error) {
+    console.error('Update company error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => ({ field: e.path, message: e.message }))
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Upload company logo
+// @route   POST /api/companies/:id/logo
+// @access  Private (Company owner)
+export const uploadCompanyLogo = async (req, res) => {
+  try {
+    await saveCompanyImage(req, res, 'logo', 'Logo');
+  } catch (error) {
+    console.error('Upload company logo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Upload company cover image
+// @route   POST /api/companies/:id/cover
+// @access  Private (Company owner)
+export const uploadCompanyCover = async (req, res) => {
+  try {
+    await saveCompanyImage(req, res, 'coverImage', 'Cover image');
+  } catch (error) {
+    console.error('Upload company cover error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Follow a company
+// @route   POST /api/companies/:id/follow
+// @access  Private (Student)
+export const followCompany = async (req, res) => {
+  try {
+    const company = await Company.findOne({ _id: req.params.id, isActive: true }).select('name followerCount');
+
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const result = await CompanyFollow.updateOne(
+      { user: req.user._id, company: company._id },
+      { $setOnInsert: { user: req.user._id, company: company._id } },
+      { upsert: true }
+    );
+
+    let followerCount = company.followerCount;
+    if (result.upsertedCount > 0) {
+      const updated = await Company.findByIdAndUpdate(company._id, { $inc: { followerCount: 1 } }, { new: true });
+      followerCount = updated.followerCount;
+    }
+
+    res.json({
+      success: true,
+      message: `You are now following ${company.name}`,
+      data: { isFollowing: true, followerCount }
+    });
+
+  } catch (error) {
+    console.error('Follow company error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Unfollow a company
+// @route   DELETE /api/companies/:id/follow
+// @access  Private (Student)
+export const unfollowCompany = async (req, res) => {
+  try {
+    const follow = await CompanyFollow.findOneAndDelete({ user: req.user._id, company: req.params.id });
+
+    if (!follow) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not following this company'
+      });
+    }
+
+    const company = await Company.findOneAndUpdate(
+      { _id: req.params.id, followerCount: { $gt: 0 } },
+      { $inc: { followerCount: -1 } },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Company unfollowed',
+      data: { isFollowing: false, followerCount: company ? company.followerCount : 0 }
+    });
+
+  } catch (error) {
+    console.error('Unfollow company error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Submit a verification request (tax code + business registration PDF)
+// @route   POST /api/companies/:id/verification
+// @access  Private (Company owner)
+export const submitVerification = async (req, res) => {
+  const files = req.files || [];
+  const cleanupFiles = () => Promise.all(files.map(file => deleteUploadedFile(`/uploads/verification/${file.filename}`)));
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload the business registration certificate (PDF)'
+      });
+    }
+
+    // multipart nên kiểm tra ở đây (express-validator chạy trước multer)
+    const taxCode = String(req.body.taxCode || '').trim();
+    if (!TAX_CODE_PATTERN.test(taxCode)) {
+      await cleanupFiles();
+      return res.status(400).json({
+        success: false,
+        message: 'Tax code must have 10 digits, optionally followed by -XXX for a branch'
+      });
+    }
+
+    const company = await getCompanyForMember(req, res, ['owner']);
+    if (!company) {
+      await cleanupFiles();
+      return;
+    }
+
+    if (company.isVerified) {
+      await cleanupFiles();
+      return res.status(400).json({
+        success: false,
+        message: 'Company is already verified'
+      });
+    }
+
+    const pending = await CompanyVerification.exists({ company: company._id, status: 'pending' });
+    if (pending) {
+      await cleanupFiles();
+      return res.status(409).json({
+        success: false,
+        message: 'A verification request is already under review'
+      });
+    }
+
+    const taxCodeTaken = await Company.exists({ _id: { $ne: company._id }, taxCode });
+    if (taxCodeTaken) {
+      await cleanupFiles();
+      return res.status(409).json({
+        success: false,
+        message: 'This tax code is already registered to another company'
+      });
+    }
+
+    const verification = await CompanyVerification.create({
+      company: company._id,
+      submittedBy: req.user._id,
+      taxCode,
+      documents: files.map(file => ({
+        path: `/uploads/verification/${file.filename}`,
+        originalName: file.originalname,
+        size: file.size
+      }))
+    });
+
+    company.verificationStatus = 'pending';
+    await company.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Verification request submitted successfully',
+      data: { verification }
+    });
+
+  } catch (error) {
+    console.error('Submit verification error:', error);
+    await cleanupFiles().catch(() => {});
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get verification status and request history
+// @route   GET /api/companies/:id/verification
+// @access  Private (Company member)
+export const getVerification = async (req, res) => {
+  try {
+    const company = await getCompanyForMember(req, res);
+    if (!company) return;
+
+    const requests = await CompanyVerification.find({ company: company._id })
+      .select('-submittedBy -reviewedBy')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        isVerified: company.isVerified,
+        verificationStatus: company.verificationStatus,
+        verifiedAt: company.verifiedAt,
+        requests
+      }
+    });
+
+  } catch (error) {
+    console.error('Get verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get company members
+// @route   GET /api/companies/:id/members
+// @access  Private (Company member)
+export const getMembers = async (req, res) => {
+  try {
+    const company = await getCompanyForMember(req, res);
+    if (!company) return;
+
+    ensureMembersInitialized(company, req.user);
+    await company.populate('members.user', 'name email avatar position');
+
+    res.json({
+      success: true,
+      data: { members: company.members }
+    });
+
+  } catch (error) {
+    console.error('Get company members error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Change a member's role
+// @route   PUT /api/companies/:id/members/:userId
+// @access  Private (Company owner)
+export const updateMemberRole = async (req, res) => {
+  try {
+    const company = await getCompanyForMember(req, res, ['owner']);
+    if (!company) return;
+
+    ensureMembersInitialized(company, req.user);
+
+    const member = company.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    // Công ty phải luôn còn ít nhất một owner
+    if (member.role === 'owner' && req.body.role !== 'owner' && countOwners(company) === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Company must have at least one owner'
+      });
+    }
+
+    member.role = req.body.role;
+    await company.save();
+
+    res.json({
+      success: true,
+      message: 'Member role updated successfully',
+      data: { member }
+    });
+
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Remove a member (owner) or leave the company (self)
+// @route   DELETE /api/companies/:id/members/:userId
+// @access  Private (Company owner or the member)
+export const removeMember = async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.user.id;
+    const company = await getCompanyForMember(req, res, isSelf ? COMPANY_ROLES : ['owner']);
+    if (!company) return;
+
+    ensureMembersInitialized(company, req.user);
+
+    const member = company.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (member.role === 'owner' && countOwners(company) === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Company must have at least one owner'
+      });
+    }
+
+    company.members = company.members.filter(m => m.user.toString() !== req.params.userId);
+    await company.save();
+
+    // Bỏ liên kết công ty chính của user nếu là công ty này
+    await User.updateOne(
+      { _id: req.params.userId, company: company._id },
+      { $unset: { company: 1 } }
+    );
+
+    res.json({
+      success: true,
+      message: isSelf ? 'You have left the company' : 'Member removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Invite a recruiter by email
+// @route   POST /api/companies/:id/invitations
+// @access  Private (Company owner)
+export const inviteMember = async (req, res) => {
+  try {
+    const company = await getCompanyForMember(req, res, ['owner']);
+    if (!company) return;
+
+    // Lưu owner hiện tại trước khi có thành viên mới
+    ensureMembersInitialized(company, req.user);
+    if (company.isModified('members')) {
+      await company.save();
+    }
+
+    const { email, role = 'recruiter' } = req.body;
+
+    const existingUser = await User.findOne({ email }).select('_id');
+    if (existingUser && company.members.some(m => m.user.equals(existingUser._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user is already a member of the company'
+      });
+    }
+
+    // Mời lại cùng email thì hủy lời mời cũ
+    await CompanyInvitation.updateMany(
+      { company: company._id, email, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    const invitation = new CompanyInvitation({
+      company: company._id,
+      email,
+      role,
+      invitedBy: req.user._id
+    });
+    const token = invitation.generateToken();
+    await invitation.save();
+
+    await sendEmail({ to: email, ...companyInvitationEmail(company, req.user, role, token) });
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      data: { invitation }
+    });
+
+  } catch (error) {
+    console.error('Invite member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    List pending invitations
+// @route   GET /api/companies/:id/invitations
+// @access  Private (Company owner)
+export const getInvitations = async (req, res) => {
+  try {
+    const company = await getCompanyForMember(req, res, ['owner']);
+    if (!company) return;
+
+    const invitations = await CompanyInvitation.find({
+      company: company._id,
+      acceptedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('invitedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { invitations }
+    });
+
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Revoke an invitation
+// @route   DELETE /api/companies/:id/invitations/:invitationId
+// @access  Private (Company owner)
+export const revokeInvitation = async (req, res) => {
+  try {
+    const company = await getCompanyForMember(req, res, ['owner']);
+    if (!company) return;
+
+    const invitation = await CompanyInvitation.findOneAndUpdate(
+      { _id: req.params.invitationId, company: company._id, acceptedAt: null, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Accept an invitation
+// @route   POST /api/companies/invitations/:token/accept
+// @access  Private (Employer)
+export const acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await CompanyInvitation.findOne({
+      tokenHash: CompanyInvitation.hashToken(req.params.token)
+    });
+
+    if (!invitation || !invitation.isPending) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    // Lời mời chỉ dành cho đúng email được mời
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({
+        success: false,
+        message: 'This invitation was sent to a different email address'
+      });
+    }
+
+    const company = await Company.findById(invitation.company);
+    if (!company || !company.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    // Đã là thành viên thì không đổi vai trò qua lời mời (đổi vai trò qua updateMemberRole, tránh owner tự hạ quyền)
+    if (company.members.some(m => m.user.equals(req.user._id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already a member of this company'
+      });
+    }
+
+    company.members.push({
+      user: req.user._id,
+      role: invitation.role,
+      invitedBy: invitation.invitedBy
+    });
+    await company.save();
+
+    invitation.acceptedAt = new Date();
+    invitation.acceptedBy = req.user._id;
+    await invitation.save();
+
+    // Công ty đầu tiên tham gia trở thành công ty chính của user
+    if (!req.user.company) {
+      await User.findByIdAndUpdate(req.user.id, { company: company._id });
+    }
+
+    res.json({
+      success: true,
+      message: `You have joined ${company.name}`,
+      data: { company: { id: company._id, name: company.name }, role: invitation.role }
+    });
+
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
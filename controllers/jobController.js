@@ -1,8 +1,94 @@
-import Job from '../models/Job.js';
-import Company from '../models/Company.js';
+import Job, { JOB_CONTENT_FIELDS, JOB_STATUSES, JOB_SORT_FIELDS } from '../models/Job.js';
+import JobTemplate, { JOB_TEMPLATE_FIELDS } from '../models/JobTemplate.js';
+import JobRevision from '../models/JobRevision.js';
+import Company, { COMPANY_MANAGE_ROLES } from '../models/Company.js';
 import Application from '../models/Application.js';
 import User from '../models/User.js';
 import mongoose from 'mongoose'; // Cần import để kiểm tra ObjectId
+import { createJobValidation, runValidation } from '../middleware/validation.js';
+import { notifyJobPublished, notifyJobsPublished } from '../utils/jobLifecycle.js';
+import { SALARY_TYPES, buildSalaryFilter } from '../utils/salary.js';
+import { parseCoordinates } from '../utils/geocoding.js';
+import { buildFacetStage, parseFacetsParam } from '../utils/jobFacets.js';
+import { paginate, parseLimit } from '../utils/pagination.js';
+import { buildAvailabilityStages } from '../utils/schedule.js';
+import { MAX_IMPORT_ROWS, buildJobsCsv, parseJobCsv } from '../utils/jobCsv.js';
+import {
+  TEXT_SCORE,
+  buildFoldedRegex,
+  buildFoldedSearchFilter,
+  buildFoldedPrefixRegex,
+  buildSuggestions,
+  buildTextSearch
+} from '../utils/jobSearch.js';
+
+// Các trường sửa được qua PUT /api/jobs/:id (trạng thái, thống kê, trường tự tính không nằm trong đây)
+const EDITABLE_JOB_FIELDS = [...JOB_CONTENT_FIELDS, 'applicationDeadline'];
+
+const pickFields = (source, fields) => Object.fromEntries(
+  fields.filter(field => source[field] !== undefined).map(field => [field, source[field]])
+);
+
+// Bán kính tìm việc quanh một điểm (km)
+const DEFAULT_RADIUS_KM = 10;
+const MAX_RADIUS_KM = 100;
+
+// Gợi ý tìm kiếm: số gợi ý mỗi loại, số tin tối đa dùng để tính gợi ý
+const SUGGESTION_LIMIT = 5;
+const SUGGESTION_SCAN_LIMIT = 200;
+
+// Thông tin công ty hiển thị công khai trong chi tiết tin (không gồm members, taxCode, hồ sơ xác minh)
+const PUBLIC_COMPANY_FIELDS = 'name description logo coverImage website industry size founded address city district phone email isVerified socialMedia jobCount followerCount rating';
+
+// HIDE_UNVERIFIED_COMPANY_JOBS=true: tin của công ty chưa xác minh không hiện trong danh sách/tìm kiếm
+// (vẫn xem được qua link trực tiếp)
+const applyCompanyVisibility = async (filter) => {
+  if (process.env.HIDE_UNVERIFIED_COMPANY_JOBS !== 'true') return;
+  filter.company = { $in: await Company.distinct('_id', { isVerified: true }) };
+};
+
+// 📍 $geoNear: tin trong bán kính quanh origin, khoảng cách (m) ghi vào trường distance
+const buildGeoNearStage = (origin, radiusKm, query) => ({
+  $geoNear: {
+    near: origin,
+    key: 'geo',
+    distanceField: 'distance',
+    maxDistance: radiusKm * 1000,
+    query,
+    spherical: true
+  }
+});
+
+// 📍 Danh sách tin qua aggregation ($geoNear, lọc theo lịch rảnh), phân trang theo page.
+// Mỗi kết quả kèm distanceKm (khi có $geoNear) và availabilityMatch (khi lọc theo lịch rảnh).
+const aggregateJobs = async (stages, { page, limit, sort }) => {
+  const pipeline = [...stages];
+  if (sort) pipeline.push({ $sort: sort });
+  pipeline.push({ $skip: (page - 1) * limit }, { $limit: limit });
+
+  const [results, [counted]] = await Promise.all([
+    Job.aggregate(pipeline),
+    Job.aggregate([...stages, { $count: 'total' }])
+  ]);
+
+  const jobs = results.map(({ distance, availabilityMatch, ...doc }) => Job.hydrate(doc));
+  await Job.populate(jobs, [
+    { path: 'company', select: 'name logo industry isVerified rating' },
+    { path: 'employer', select: 'name email' }
+  ]);
+
+  return {
+    jobs: jobs.map((job, index) => {
+      const { distance, availabilityMatch } = results[index];
+      return {
+        ...job.toJSON(),
+        ...(distance !== undefined && { distanceKm: Math.round(distance / 10) / 100 }),
+        ...(availabilityMatch && { availabilityMatch })
+      };
+    }),
+    total: counted ? counted.total : 0
+  };
+};
 
 // @desc    Get all jobs with filters
 // @route   GET /api/jobs
@@ -14,51 +100,196 @@ export const getJobs = async (req, res) => {
       limit = 10,
       search,
       location,
+      city,
       jobType,
       category,
+      experience,
+      education,
       salaryMin,
-      sortBy = 'createdAt',
+      salaryMax,
+      salaryType,
+      lat,
+      lng,
+      radiusKm,
+      facets,
+      availableOnly,
+      after,
+      before,
+      includeTotal,
+      sortBy,
       sortOrder = 'desc'
     } = req.query;
 
     console.log('🔍 Get jobs query:', req.query);
 
-    const filter = { isActive: true };
-
-    if (search) filter.$text = { $search: search };
-    if (location) filter.location = new RegExp(location, 'i');
-    if (jobType) filter.jobType = jobType;
-    if (category) filter.category = category;
-    if (salaryMin) {
-      filter.$or = [
-        { salaryMin: { $gte: parseInt(salaryMin) } },
-        { salary: { $regex: salaryMin, $options: 'i' } }
-      ];
-    }
+    const origin = parseCoordinates(lat, lng);
+    const baseFilter = Job.listedFilter();
+    await applyCompanyVisibility(baseFilter);
 
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    // Tìm kiếm và lọc địa điểm không phân biệt dấu
+    if (search && origin) {
+      // $geoNear không dùng chung được với $text
+      Object.assign(baseFilter, buildFoldedSearchFilter(search));
+    } else if (search) {
+      baseFilter.$text = buildTextSearch(search);
+    }
+    if (location) baseFilter['searchFields.location'] = buildFoldedRegex(location);
+    // Lọc lương theo mức quy đổi theo giờ (hoặc theo đơn vị của salaryType)
+    const salaryConditions = buildSalaryFilter({ salaryMin, salaryMax, salaryType }, { includeType: false });
+    if (salaryConditions.length > 0) baseFilter.$and = salaryConditions;
+
+    // Bộ lọc trên các trường có facet (mỗi facet được đếm mà không áp bộ lọc của chính nó)
+    const facetFilters = {};
+    Object.entries({ category, jobType, experience, education, city }).forEach(([field, value]) => {
+      if (value) facetFilters[field] = { [field]: value };
+    });
+    if (SALARY_TYPES.includes(salaryType)) facetFilters.salaryType = { salaryType };
+
+    const filter = { ...baseFilter, ...Object.assign({}, ...Object.values(facetFilters)) };
+    const requestedFacets = parseFacetsParam(facets);
+    const radius = Math.min(parseFloat(radiusKm) || DEFAULT_RADIUS_KM, MAX_RADIUS_KM);
+    const pageLimit = parseLimit(limit);
+
+    // Có từ khóa mà không chọn sortBy: xếp theo độ liên quan
+    const rankByRelevance = search && (!sortBy || sortBy === 'relevance');
+
+    // Cursor chỉ dùng được khi sắp xếp theo một trường của tin
+    if ((after || before) && (origin || rankByRelevance)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cursor pagination is not available when sorting by relevance or distance'
+      });
+    }
+
+    // 🗓️ availableOnly=true: chỉ tin có ca trùng lịch rảnh của sinh viên đang đăng nhập
+    let availabilityStages = [];
+    if (availableOnly === 'true') {
+      if (!req.user || req.user.userType !== 'student') {
+        return res.status(403).json({
+          success: false,
+          message: 'Only logged-in students can filter jobs by availability'
+        });
+      }
 
-    const jobs = await Job.find(filter)
-      .populate('company', 'name logo industry')
-      .populate('employer', 'name email')
-      .sort(sortOptions)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+      const student = await User.findById(req.user._id).select('+availabilitySlots');
+      if (!student.availabilitySlots || student.availabilitySlots.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please set your weekly availability first'
+        });
+      }
+      availabilityStages = buildAvailabilityStages(student.availabilitySlots);
+    }
+
+    // Facet đếm trong 1 aggregation, cùng điều kiện tìm kiếm/bán kính/lịch rảnh với danh sách
+    const facetsPromise = requestedFacets.length > 0
+      ? Job.aggregate([
+        origin ? buildGeoNearStage(origin, radius, baseFilter) : { $match: baseFilter },
+        ...availabilityStages,
+        buildFacetStage(requestedFacets, facetFilters)
+      ]).then(([result]) => result)
+      : Promise.resolve(null);
+
+    if (origin || availabilityStages.length > 0) {
+      // Mặc định gần -> xa (có tọa độ) hoặc mới nhất; sortBy là trường của tin thì theo trường đó (mặc định giảm dần)
+      const direction = (defaultOrder) => ((req.query.sortOrder || defaultOrder) === 'desc' ? -1 : 1);
+      const fieldSort = JOB_SORT_FIELDS.includes(sortBy) ? { [sortBy]: direction('desc') } : null;
+      let sort;
+      if (origin) {
+        sort = fieldSort ? { ...fieldSort, distance: 1 } : { distance: direction('asc') };
+      } else {
+        sort = fieldSort || { createdAt: -1 };
+      }
+      // Lọc theo lịch rảnh: xếp theo số phút trùng lịch, rồi số ca làm được trọn vẹn
+      if (availabilityStages.length > 0) {
+        sort = { 'availabilityMatch.overlapMinutes': -1, 'availabilityMatch.matchingShifts': -1, ...sort };
+      } else if (!fieldSort && sort.distance === 1) {
+        sort = null; // $geoNear đã trả về theo thứ tự gần -> xa
+      }
+
+      const [{ jobs, total }, facetCounts] = await Promise.all([
+        aggregateJobs([
+          origin ? buildGeoNearStage(origin, radius, filter) : { $match: filter },
+          ...availabilityStages
+        ], {
+          page: parseInt(page),
+          limit: pageLimit,
+          sort: sort && { ...sort, _id: -1 }
+        }),
+        facetsPromise
+      ]);
+
+      return res.json({
+        success: true,
+        data: {
+          jobs,
+          pagination: {
+            current: parseInt(page),
+            pages: Math.ceil(total / pageLimit),
+            total
+          },
+          ...(facetCounts && { facets: facetCounts })
+        }
+      });
+    }
 
-    const total = await Job.countDocuments(filter);
+    const populateListing = (query) => query
+      .populate('company', 'name logo industry isVerified rating')
+      .populate('employer', 'name email');
 
-    console.log(`✅ Found ${jobs.length} jobs out of ${total} total`);
+    if (rankByRelevance) {
+      const [jobs, total, facetCounts] = await Promise.all([
+        populateListing(Job.find(filter, { score: TEXT_SCORE }))
+          .sort({ score: TEXT_SCORE, createdAt: -1 })
+          .limit(pageLimit)
+          .skip((page - 1) * pageLimit),
+        Job.countDocuments(filter),
+        facetsPromise
+      ]);
+
+      return res.json({
+        success: true,
+        data: {
+          jobs,
+          pagination: {
+            current: parseInt(page),
+            pages: Math.ceil(total / pageLimit),
+            total
+          },
+          ...(facetCounts && { facets: facetCounts })
+        }
+      });
+    }
+
+    const [result, facetCounts] = await Promise.all([
+      paginate(Job, filter, {
+        sortField: JOB_SORT_FIELDS.includes(sortBy) ? sortBy : 'createdAt',
+        sortOrder,
+        page,
+        limit,
+        after,
+        before,
+        includeTotal,
+        buildQuery: populateListing
+      }),
+      facetsPromise
+    ]);
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    console.log(`✅ Found ${result.items.length} jobs`);
 
     res.json({
       success: true,
       data: {
-        jobs,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
-          total
-        }
+        jobs: result.items,
+        pagination: result.pagination,
+        ...(facetCounts && { facets: facetCounts })
       }
     });
   } catch (error) {
@@ -66,9 +297,47 @@ export const getJobs = async (req, res) => {
     res.status(500).json({
       success: false,
       message: 'Server error while fetching jobs',
-      error: process.env.NODE_ENV === 'production' ? {} : error.message
-    });
-  }
+      error: process.env.NODE_ENV === 'production' ? {} : error.message
+    });
+  }
+};
+
+// @desc    Autocomplete job titles, skills and locations (không dấu)
+// @route   GET /api/jobs/suggest?q=
+// @access  Public
+export const getJobSuggestions = async (req, res) => {
+  try {
+    const { q } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || SUGGESTION_LIMIT, 10);
+    const prefix = buildFoldedPrefixRegex(q);
+
+    const filter = Job.listedFilter();
+    await applyCompanyVisibility(filter);
+    filter.$or = [
+      { 'searchFields.title': prefix },
+      { 'searchFields.skills': prefix },
+      { 'searchFields.location': prefix }
+    ];
+
+    // Lấy các tin mới nhất khớp tiền tố rồi đếm gợi ý theo số tin
+    const jobs = await Job.find(filter)
+      .select('title skills location')
+      .sort({ createdAt: -1 })
+      .limit(SUGGESTION_SCAN_LIMIT)
+      .lean();
+
+    res.json({
+      success: true,
+      data: buildSuggestions(jobs, q, limit)
+    });
+  } catch (error) {
+    console.error('❌ Job suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching suggestions',
+      error: process.env.NODE_ENV === 'production' ? {} : error.message
+    });
+  }
 };
 
 // @desc    Get single job
@@ -84,17 +353,25 @@ export const getJob = async (req, res) => {
     // 1. Thử tìm kiếm theo ID TÙY CHỈNH (Ví dụ: 'gs_001')
     // **QUAN TRỌNG:** Thay 'customId' bằng tên trường ID tùy chỉnh thực tế trong Job Schema của bạn
     job = await Job.findOne({ customId: jobIdentifier }) 
-        .populate('company')
+        .populate('company', PUBLIC_COMPANY_FIELDS)
         .populate('employer', 'name email phone');
 
     // 2. Nếu không tìm thấy, thử tìm kiếm theo MongoDB _id
     if (!job && mongoose.Types.ObjectId.isValid(jobIdentifier)) {
         console.log('💡 Thử tìm kiếm theo MongoDB ObjectId...');
         job = await Job.findById(jobIdentifier)
-            .populate('company')
+            .populate('company', PUBLIC_COMPANY_FIELDS)
             .populate('employer', 'name email phone');
     }
 
+    // Tin nháp / chờ đăng chỉ thành viên công ty xem được
+    const isUnpublished = job && ['draft', 'scheduled'].includes(job.status);
+    if (isUnpublished) {
+      // company được populate với trường public (không có members) nên tải lại để kiểm tra quyền
+      const company = req.user && job.company ? await Company.findById(job.company._id) : null;
+      if (!company || !company.hasMemberRole(req.user)) job = null;
+    }
+
     if (!job) {
       console.log('❌ Job not found:', jobIdentifier);
       return res.status(404).json({
@@ -104,8 +381,7 @@ export const getJob = async (req, res) => {
     }
 
     // Cập nhật lượt xem
-    job.views += 1;
-    await job.save();
+    if (!isUnpublished) await job.incrementViews();
 
     console.log('✅ Job found and view count updated');
 
@@ -133,6 +409,94 @@ export const getJob = async (req, res) => {
   }
 };
 
+// 🏢 Công ty đăng tin của employer; chưa có thì tạo công ty tạm từ thông tin form.
+// Trả về null nếu user không phải owner/recruiter của công ty.
+const resolvePostingCompany = async (user, body) => {
+  let companyId = user.company;
+
+  if (companyId) {
+    // Chỉ owner/recruiter của công ty mới được đăng tin
+    const company = await Company.findById(companyId);
+    if (company && !company.hasMemberRole(user, COMPANY_MANAGE_ROLES)) return null;
+  }
+
+  if (!companyId) {
+    console.log('⚠️ User has no company, creating temporary company...');
+
+    // Tạo company tạm thời từ thông tin form
+    const tempCompany = await Company.create({
+      name: body.company || `${user.name}'s Company`,
+      email: body.contactEmail || user.email,
+      phone: body.contactPhone || '',
+      industry: 'General',
+      size: '1-10',
+      isVerified: false,
+      members: [{ user: user._id, role: 'owner' }]
+    });
+
+    companyId = tempCompany._id;
+    console.log('✅ Created temporary company:', companyId);
+
+    // Cập nhật user với company mới
+    await User.findByIdAndUpdate(user.id, { company: companyId });
+    user.company = companyId;
+  }
+
+  return companyId;
+};
+
+// Chuẩn bị job data từ body (đã qua createJobValidation) với fallback values
+const buildJobData = (body, { companyId, user }) => {
+  const jobData = {
+    title: body.title,
+    company: companyId,
+    employer: user.id,
+    location: body.location,
+    address: body.address || '',
+    description: body.description,
+    jobType: body.jobType || 'Bán thời gian',
+    category: body.category || 'Khác',
+
+    // Các trường optional với default values
+    salary: body.salary || 'Thương lượng',
+    requirements: body.requirements || '',
+    benefits: body.benefits || '',
+    contactEmail: body.contactEmail || user.email,
+    contactPhone: body.contactPhone || '',
+    workHours: body.workHours || 'Linh hoạt',
+    vacancies: parseInt(body.vacancies) || 1,
+    experience: body.experience || 'Không yêu cầu',
+    education: body.education || 'Không yêu cầu',
+    shifts: body.shifts || [],
+    minShiftsPerWeek: body.minShiftsPerWeek || undefined,
+    status: 'published'
+  };
+
+  // Lưu nháp hoặc hẹn giờ đăng
+  if (body.status === 'draft') {
+    jobData.status = 'draft';
+  } else if (body.publishAt && new Date(body.publishAt) > new Date()) {
+    jobData.status = 'scheduled';
+    jobData.publishAt = new Date(body.publishAt);
+  } else {
+    jobData.publishedAt = new Date();
+  }
+
+  // Xử lý deadline nếu có
+  if (body.applicationDeadline) {
+    jobData.applicationDeadline = new Date(body.applicationDeadline);
+  }
+
+  // Tọa độ nhập tay; không có thì geocode từ location/address khi lưu
+  const geo = parseCoordinates(body.lat, body.lng);
+  if (geo) {
+    jobData.geo = geo;
+    jobData.geoSource = 'manual';
+  }
+
+  return jobData;
+};
+
 // @desc    Create job - DEBUG VERSION
 // @route   POST /api/jobs
 // @access  Private (Employer)
@@ -141,72 +505,30 @@ export const createJob = async (req, res) => {
     console.log('=== JOB CREATION START ===');
     console.log('📥 User making request:', req.user.id);
 
-    // Kiểm tra và xử lý company
-    let companyId = req.user.company;
-    
-    if (!companyId) {
-      console.log('⚠️ User has no company, creating temporary company...');
-      
-      // Tạo company tạm thời từ thông tin form
-      const tempCompany = await Company.create({
-        name: req.body.company || `${req.user.name}'s Company`,
-        email: req.body.contactEmail || req.user.email,
-        phone: req.body.contactPhone || '',
-        industry: 'General',
-        size: '1-10',
-        isVerified: false
-      });
-      
-      companyId = tempCompany._id;
-      console.log('✅ Created temporary company:', companyId);
-      
-      // Cập nhật user với company mới
-      await User.findByIdAndUpdate(req.user.id, { company: companyId });
-    }
+    // Kiểm tra và xử lý company
+    const companyId = await resolvePostingCompany(req.user, req.body);
+    if (!companyId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to post jobs for this company'
+      });
+    }
 
-    // Chuẩn bị job data với fallback values
-    const jobData = {
-      title: req.body.title,
-      company: companyId,
-      employer: req.user.id,
-      location: req.body.location,
-      description: req.body.description,
-      jobType: req.body.jobType || 'Bán thời gian',
-      category: req.body.category || 'Khác',
-      
-      // Các trường optional với default values
-      salary: req.body.salary || 'Thương lượng',
-      requirements: req.body.requirements || '',
-      benefits: req.body.benefits || '',
-      contactEmail: req.body.contactEmail || req.user.email,
-      contactPhone: req.body.contactPhone || '',
-      workHours: req.body.workHours || 'Linh hoạt',
-      vacancies: parseInt(req.body.vacancies) || 1,
-      experience: req.body.experience || 'Không yêu cầu',
-      education: req.body.education || 'Không yêu cầu',
-      isActive: true
-    };
-
-    // Xử lý deadline nếu có
-    if (req.body.applicationDeadline) {
-      jobData.applicationDeadline = new Date(req.body.applicationDeadline);
-    }
+    const jobData = buildJobData(req.body, { companyId, user: req.user });
 
     // Tạo job
     const job = await Job.create(jobData);
 
     console.log('✅ Job created successfully:', job._id);
 
-    // Update company job count
-    await Company.findByIdAndUpdate(companyId, {
-      $inc: { jobCount: 1 }
-    });
-
     // Populate job để trả về thông tin đầy đủ
     const populatedJob = await Job.findById(job._id)
-      .populate('company', 'name email industry')
+      .populate('company', 'name email industry isVerified')
       .populate('employer', 'name email');
 
+    // Thông báo cho người theo dõi công ty (lỗi không làm hỏng việc đăng tin)
+    if (populatedJob.status === 'published') await notifyJobPublished(populatedJob);
+
     console.log('=== JOB CREATION COMPLETE ===');
 
     res.status(201).json({
@@ -256,6 +578,55 @@ export const createJob = async (req, res) => {
   }
 };
 
+// 🕓 Các trường bị sửa: [{ field, from, to }], so sánh sau khi ép kiểu theo schema
+const getJobChanges = (job, updates) => {
+  const before = job.toJSON();
+  const next = Job.hydrate(job.toObject());
+  next.set(updates);
+  const after = next.toJSON();
+
+  return Object.keys(updates)
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, from: before[field] ?? null, to: after[field] ?? null }));
+};
+
+// 🕓 Mọi thao tác sửa nội dung tin (sửa tin, đăng lại với hạn nộp mới) đều ghi qua đây để ?version=N luôn đúng:
+// tăng version + lưu JobRevision, chỉ ghi nếu tin vẫn ở version đã đọc (tin cũ chưa có version coi như version 1)
+// Trả về { job: tin sau khi ghi (null nếu bị sửa đồng thời), changes }
+const saveJobChanges = async (job, updates, user) => {
+  const changes = getJobChanges(job, updates);
+  if (changes.length === 0) return { job, changes };
+
+  const version = job.version + 1;
+  const updatedJob = await Job.findOneAndUpdate(
+    { _id: job._id, version: job.version === 1 ? { $in: [1, null] } : job.version },
+    { ...updates, version },
+    {
+      new: true,
+      runValidators: true
+    }
+  );
+
+  if (!updatedJob) return { job: null, changes };
+
+  try {
+    await JobRevision.create({ job: job._id, version, changedBy: user._id, changes });
+  } catch (error) {
+    // Không lưu được revision: hoàn tác nội dung và version để lịch sử không bị hổng version
+    const $set = { version: job.version };
+    const $unset = {};
+    changes.forEach(({ field }) => {
+      const value = job.get(field);
+      if (value === undefined || value === null) $unset[field] = 1;
+      else $set[field] = value;
+    });
+    await Job.findOneAndUpdate({ _id: job._id, version }, { $set, $unset });
+    throw error;
+  }
+
+  return { job: updatedJob, changes };
+};
+
 // @desc    Update job
 // @route   PUT /api/jobs/:id
 // @access  Private (Employer)
@@ -273,8 +644,9 @@ export const updateJob = async (req, res) => {
       });
     }
 
-    // Kiểm tra quyền sở hữu
-    if (job.employer.toString() !== req.user.id) {
+    // Kiểm tra quyền theo thành viên công ty (owner/recruiter)
+    const company = await Company.findById(job.company);
+    if (!company || !company.hasMemberRole(req.user, COMPANY_MANAGE_ROLES)) {
       console.log('🚫 Unauthorized update attempt by user:', req.user.id);
       return res.status(403).json({ 
         success: false, 
@@ -282,14 +654,42 @@ export const updateJob = async (req, res) => {
       });
     }
 
-    job = await Job.findByIdAndUpdate(
-      req.params.id, 
-      req.body, 
-      {
-        new: true,
-        runValidators: true
-      }
-    ).populate('company');
+    // Client gửi version đang sửa: tin đã sang version khác thì báo xung đột thay vì ghi đè
+    if (req.body.version !== undefined && parseInt(req.body.version) !== job.version) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job was modified by someone else, please reload and try again',
+        data: { currentVersion: job.version }
+      });
+    }
+
+    // Chỉ nhận các trường nội dung; trạng thái chỉ đổi qua các endpoint publish/pause/resume/close/republish
+    const updates = pickFields(req.body, EDITABLE_JOB_FIELDS);
+
+    const geo = parseCoordinates(req.body.lat, req.body.lng);
+    if (geo) {
+      updates.geo = geo;
+      updates.geoSource = 'manual';
+    }
+
+    // 🕓 Chỉ các trường thực sự thay đổi mới tạo version mới
+    const { job: updatedJob, changes } = await saveJobChanges(job, updates, req.user);
+    if (changes.length === 0) {
+      return res.json({
+        success: true,
+        message: 'No changes to update',
+        data: { job: await job.populate('company') }
+      });
+    }
+
+    if (!updatedJob) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job was modified by someone else, please reload and try again'
+      });
+    }
+
+    job = await updatedJob.populate('company');
 
     console.log('✅ Job updated successfully:', req.params.id);
 
@@ -325,8 +725,9 @@ export const deleteJob = async (req, res) => {
       });
     }
 
-    // Kiểm tra quyền sở hữu
-    if (job.employer.toString() !== req.user.id) {
+    // Kiểm tra quyền theo thành viên công ty (owner/recruiter)
+    const company = await Company.findById(job.company);
+    if (!company || !company.hasMemberRole(req.user, COMPANY_MANAGE_ROLES)) {
       console.log('🚫 Unauthorized deletion attempt by user:', req.user.id);
       return res.status(403).json({ 
         success: false, 
@@ -334,13 +735,9 @@ export const deleteJob = async (req, res) => {
       });
     }
 
+    // Hook findOneAndDelete của Job tự cập nhật jobCount
     await Job.findByIdAndDelete(req.params.id);
 
-    // Update company job count
-    await Company.findByIdAndUpdate(job.company, {
-      $inc: { jobCount: -1 }
-    });
-
     console.log('✅ Job deleted successfully:', req.params.id);
 
     res.json({ 
@@ -362,23 +759,46 @@ export const deleteJob = async (req, res) => {
 // @access  Private (Employer)
 export const getEmployerJobs = async (req, res) => {
   try {
-    const { page = 1, limit = 10, status = 'all' } = req.query;
+    const {
+      page = 1,
+      limit = 10,
+      status = 'all',
+      after,
+      before,
+      includeTotal,
+      sortBy = 'createdAt',
+      sortOrder = 'desc'
+    } = req.query;
     
     console.log('👨‍💼 Get employer jobs for user:', req.user.id);
 
-    const filter = { employer: req.user.id };
+    // Tin của tất cả công ty mà user là thành viên
+    const companyIds = await Company.findIdsForMember(req.user);
+    const filter = { company: { $in: companyIds } };
     
     if (status === 'active') filter.isActive = true;
     else if (status === 'inactive') filter.isActive = false;
+    else if (JOB_STATUSES.includes(status)) filter.status = status;
 
-    const jobs = await Job.find(filter)
-      .populate('company')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+    const result = await paginate(Job, filter, {
+      sortField: sortBy,
+      sortOrder,
+      page,
+      limit,
+      after,
+      before,
+      includeTotal,
+      buildQuery: (query) => query.populate('company')
+    });
 
-    const total = await Job.countDocuments(filter);
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
 
+    const jobs = result.items;
     console.log(`📊 Found ${jobs.length} jobs for employer`);
 
     // Lấy thống kê applications cho mỗi job
@@ -404,11 +824,7 @@ export const getEmployerJobs = async (req, res) => {
       success: true,
       data: {
         jobs: jobsWithStats,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
-          total
-        }
+        pagination: result.pagination
       }
     });
   } catch (error) {
@@ -421,6 +837,378 @@ export const getEmployerJobs = async (req, res) => {
   }
 };
 
+// @desc    Import jobs from CSV (nhiều chi nhánh cùng lúc)
+// @route   POST /api/jobs/import?mode=partial|atomic
+// @access  Private (Employer)
+export const importJobs = async (req, res) => {
+  try {
+    const atomic = req.query.mode === 'atomic';
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV file'
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = parseJobCsv(req.file.buffer.toString('utf8'));
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: parseError.message
+      });
+    }
+
+    const { rows, unknownColumns } = parsed;
+    if (rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `CSV must contain between 1 and ${MAX_IMPORT_ROWS} job rows`
+      });
+    }
+
+    console.log(`📥 Import ${rows.length} jobs (${atomic ? 'atomic' : 'partial'}) by user:`, req.user.id);
+
+    const companyId = await resolvePostingCompany(req.user, {});
+    if (!companyId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to post jobs for this company'
+      });
+    }
+
+    // Kiểm tra từng dòng bằng đúng createJobValidation của POST /api/jobs, rồi validation của model
+    const errors = [];
+    const validJobs = [];
+    for (const { row, body } of rows) {
+      const validated = await runValidation(createJobValidation, body);
+
+      const rowErrors = validated.errors.map(error => ({ field: error.path, message: error.msg }));
+      let job;
+      if (rowErrors.length === 0) {
+        job = new Job(buildJobData(validated.body, { companyId, user: req.user }));
+        const modelError = job.validateSync();
+        if (modelError) {
+          rowErrors.push(...Object.values(modelError.errors).map(error => ({ field: error.path, message: error.message })));
+        }
+      }
+
+      if (rowErrors.length > 0) errors.push({ row, errors: rowErrors });
+      else validJobs.push({ row, job });
+    }
+
+    if (validJobs.length === 0 || (atomic && errors.length > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: atomic ? 'Import aborted: some rows are invalid, no jobs were created' : 'No valid rows to import',
+        data: { created: 0, failed: errors.length, errors, unknownColumns }
+      });
+    }
+
+    // Lưu từng tin qua save() để chạy hook (geocode, searchFields, jobCount)
+    const created = [];
+    try {
+      for (const { row, job } of validJobs) {
+        await job.save();
+        created.push({ row, job });
+      }
+    } catch (saveError) {
+      // atomic: xóa các tin đã tạo để không nhập dở dang
+      if (!atomic) throw saveError;
+      await Job.deleteMany({ _id: { $in: created.map(({ job }) => job._id) } });
+      await Company.refreshJobCount(companyId);
+      throw saveError;
+    }
+
+    // Thông báo cho người theo dõi công ty: 1 thông báo cho cả đợt import
+    const publishedJobs = created.map(({ job }) => job).filter(job => job.status === 'published');
+    await notifyJobsPublished(publishedJobs, companyId);
+
+    console.log(`✅ Imported ${created.length} jobs, ${errors.length} rows failed`);
+
+    res.status(201).json({
+      success: true,
+      message: `${created.length} jobs imported successfully`,
+      data: {
+        created: created.length,
+        failed: errors.length,
+        jobs: created.map(({ row, job }) => ({ row, _id: job._id, title: job.title, status: job.status })),
+        errors,
+        unknownColumns
+      }
+    });
+  } catch (error) {
+    console.error('❌ Import jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while importing jobs',
+      error: process.env.NODE_ENV === 'production' ? {} : error.message
+    });
+  }
+};
+
+// @desc    Export employer's jobs with application stats as CSV
+// @route   GET /api/jobs/employer/export
+// @access  Private (Employer)
+export const exportEmployerJobs = async (req, res) => {
+  try {
+    const { status = 'all' } = req.query;
+
+    // Tin của tất cả công ty mà user là thành viên
+    const companyIds = await Company.findIdsForMember(req.user);
+    const filter = { company: { $in: companyIds } };
+
+    if (status === 'active') filter.isActive = true;
+    else if (status === 'inactive') filter.isActive = false;
+    else if (JOB_STATUSES.includes(status)) filter.status = status;
+
+    const jobs = await Job.find(filter)
+      .select('-searchFields -shiftSlots')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    console.log(`📤 Export ${jobs.length} jobs for employer:`, req.user.id);
+
+    res.attachment(`jobs-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.type('text/csv; charset=utf-8');
+    res.send(buildJobsCsv(jobs));
+  } catch (error) {
+    console.error('❌ Export employer jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting jobs',
+      error: process.env.NODE_ENV === 'production' ? {} : error.message
+    });
+  }
+};
+
+// 📋 Template của công ty: tìm theo :templateId và kiểm tra quyền owner/recruiter (tự trả lỗi, trả về null)
+const findManagedTemplate = async (req, res) => {
+  const template = await JobTemplate.findById(req.params.templateId);
+
+  if (!template) {
+    res.status(404).json({
+      success: false,
+      message: 'Template not found'
+    });
+    return null;
+  }
+
+  const company = await Company.findById(template.company);
+  if (!company || !company.hasMemberRole(req.user, COMPANY_MANAGE_ROLES)) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to use this template'
+    });
+    return null;
+  }
+
+  return template;
+};
+
+// @desc    Get job templates of employer's companies
+// @route   GET /api/jobs/templates
+// @access  Private (Employer)
+export const getJobTemplates = async (req, res) => {
+  try {
+    const companyIds = await Company.findIdsForMember(req.user, COMPANY_MANAGE_ROLES);
+    const templates = await JobTemplate.find({ company: { $in: companyIds } })
+      .populate('createdBy', 'name')
+      .sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { templates }
+    });
+  } catch (error) {
+    console.error('❌ Get job templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching templates',
+      error: process.env.NODE_ENV === 'production' ? {} : error.message
+    });
+  }
+};
+
+// @desc    Get a job template
+// @route   GET /api/jobs/templates/:templateId
+// @access  Private (Employer)
+export const getJobTemplate = async (req, res) => {
+  try {
+    const template = await findManagedTemplate(req, res);
+    if (!template) return;
+
+    res.json({
+      success: true,
+      data: { template }
+    });
+  } catch (error) {
+    console.error('❌ Get job template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching template',
+      error: process.env.NODE_ENV === 'production' ? {} : error.message
+    });
+  }
+};
+
+// @desc    Create a job template
+// @route   POST /api/jobs/templates
+// @access  Private (Employer)
+export const createJobTemplate = async (req, res) => {
+  try {
+    const companyId = await resolvePostingCompany(req.user, req.body);
+    if (!companyId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to create templates for this company'
+      });
+    }
+
+    const template = await JobTemplate.create({
+      name: req.body.name,
+      company: companyId,
+      createdBy: req.user._id,
+      fields: pickFields(req.body, JOB_TEMPLATE_FIELDS)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Template created successfully',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('❌ Create job template error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A template with this name already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating template',
+      error: process.env.NODE_ENV === 'production' ? {} : error.message
+    });
+  }
+};
+
+// @desc    Update (replace) a job template
+// @route   PUT /api/jobs/templates/:templateId
+// @access  Private (Employer)
+export const updateJobTemplate = async (req, res) => {
+  try {
+    const template = await findManagedTemplate(req, res);
+    if (!template) return;
+
+    template.name = req.body.name;
+    template.fields = pickFields(req.body, JOB_TEMPLATE_FIELDS);
+    await template.save();
+
+    res.json({
+      success: true,
+      message: 'Template updated successfully',
+      data: { template }
+    });
+  } catch (error) {
+    console.error('❌ Update job template error:', error);
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A template with this name already exists'
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating template',
+      error: process.env.NODE_ENV === 'production' ? {} : error.message
+    });
+  }
+};
+
+// @desc    Delete a job template
+// @route   DELETE /api/jobs/templates/:templateId
+// @access  Private (Employer)
+export const deleteJobTemplate = async (req, res) => {
+  try {
+    const template = await findManagedTemplate(req, res);
+    if (!template) return;
+
+    await template.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+  } catch (error) {
+    console.error('❌ Delete job template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting template',
+      error: process.env.NODE_ENV === 'production' ? {} : error.message
+    });
+  }
+};
+
+// @desc    Create a job from a template (body: các trường muốn ghi đè, status, publishAt, applicationDeadline)
+// @route   POST /api/jobs/templates/:templateId/jobs
+// @access  Private (Employer)
+export const createJobFromTemplate = async (req, res) => {
+  try {
+    const template = await findManagedTemplate(req, res);
+    if (!template) return;
+
+    // Template + overrides phải hợp lệ như khi gọi POST /api/jobs
+    const { body, errors } = await runValidation(createJobValidation, {
+      ...template.fields,
+      ...pickFields(req.body, [...JOB_TEMPLATE_FIELDS, 'status', 'publishAt', 'applicationDeadline'])
+    });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    const job = await Job.create(buildJobData(body, { companyId: template.company, user: req.user }));
+
+    template.usageCount += 1;
+    template.lastUsedAt = new Date();
+    await template.save();
+
+    const populatedJob = await Job.findById(job._id)
+      .populate('company', 'name email industry isVerified')
+      .populate('employer', 'name email');
+
+    if (populatedJob.status === 'published') await notifyJobPublished(populatedJob);
+
+    console.log(`✅ Job ${job._id} created from template ${template._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Job created successfully',
+      data: { job: populatedJob }
+    });
+  } catch (error) {
+    console.error('❌ Create job from template error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: Object.values(error.errors).map(e => ({ field: e.path, message: e.message }))
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating job from template',
+      error: process.env.NODE_ENV === 'production' ? {} : error.message
+    });
+  }
+};
+
 // @desc    Get featured jobs
 // @route   GET /api/jobs/featured
 // @access  Public
@@ -428,11 +1216,11 @@ export const getFeaturedJobs = async (req, res) => {
   try {
     console.log('⭐ Get featured jobs request');
     
-    const jobs = await Job.find({ 
-      isFeatured: true, 
-      isActive: true 
-    })
-      .populate('company', 'name logo industry')
+    const filter = { isFeatured: true, ...Job.listedFilter() };
+    await applyCompanyVisibility(filter);
+
+    const jobs = await Job.find(filter)
+      .populate('company', 'name logo industry isVerified rating')
       .sort({ createdAt: -1 })
       .limit(6);
 
@@ -450,4 +1238,293 @@ export const getFeaturedJobs = async (req, res) => {
       error: process.env.NODE_ENV === 'production' ? {} : error.message
     });
   }
-};
\ No newline at end of file
+};
+// 🔄 Chuyển trạng thái tin (kiểm tra quyền + luồng chuyển hợp lệ)
+const changeJobStatus = async (req, res, targetStatus, options = {}) => {
+  let job = await Job.findById(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      message: 'Job not found'
+    });
+  }
+
+  const company = await Company.findById(job.company);
+  if (!company || !company.hasMemberRole(req.user, COMPANY_MANAGE_ROLES)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this job'
+    });
+  }
+
+  if (options.allowedFrom && !options.allowedFrom.includes(job.status)) {
+    return res.status(400).json({
+      success: false,
+      message: `This action is only available for ${options.allowedFrom.join(' or ')} jobs`
+    });
+  }
+
+  // Không mở lại tin khi hạn nộp đã qua
+  const applicationDeadline = options.applicationDeadline || job.applicationDeadline;
+  if (targetStatus === 'published' && applicationDeadline && applicationDeadline <= new Date()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Application deadline has passed. Please set a new deadline.'
+    });
+  }
+
+  const fromStatus = job.status;
+  const firstPublish = !job.publishedAt;
+  if (!job.canTransitionTo(targetStatus)) {
+    return res.status(400).json({
+      success: false,
+      message: `Cannot change job status from ${fromStatus} to ${targetStatus}`
+    });
+  }
+
+  // Hạn nộp mới là sửa nội dung tin: ghi version + revision trước khi đổi trạng thái
+  if (options.applicationDeadline) {
+    ({ job } = await saveJobChanges(job, { applicationDeadline: options.applicationDeadline }, req.user));
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job was modified by someone else, please reload and try again'
+      });
+    }
+  }
+
+  job.transitionTo(targetStatus, options);
+  await job.save();
+  if (targetStatus === 'published' && firstPublish) await notifyJobPublished(job);
+
+  res.json({
+    success: true,
+    message: fromStatus === targetStatus
+      ? `Job ${targetStatus} updated`
+      : `Job status changed from ${fromStatus} to ${targetStatus}`,
+    data: { job }
+  });
+};
+
+// @desc    Publish a draft now or schedule it (publishAt); gọi lại với publishAt mới để đổi giờ đăng
+// @route   PUT /api/jobs/:id/publish
+// @access  Private (Employer)
+export const publishJob = async (req, res) => {
+  try {
+    const publishAt = req.body.publishAt ? new Date(req.body.publishAt) : null;
+
+    const allowedFrom = ['draft', 'scheduled'];
+
+    if (publishAt && publishAt > new Date()) {
+      await changeJobStatus(req, res, 'scheduled', { allowedFrom, publishAt });
+    } else {
+      await changeJobStatus(req, res, 'published', { allowedFrom });
+    }
+  } catch (error) {
+    console.error('❌ Publish job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Pause a published job
+// @route   PUT /api/jobs/:id/pause
+// @access  Private (Employer)
+export const pauseJob = async (req, res) => {
+  try {
+    await changeJobStatus(req, res, 'paused');
+  } catch (error) {
+    console.error('❌ Pause job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Resume a paused job
+// @route   PUT /api/jobs/:id/resume
+// @access  Private (Employer)
+export const resumeJob = async (req, res) => {
+  try {
+    await changeJobStatus(req, res, 'published', { allowedFrom: ['paused'] });
+  } catch (error) {
+    console.error('❌ Resume job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Close a job
+// @route   PUT /api/jobs/:id/close
+// @access  Private (Employer)
+export const closeJob = async (req, res) => {
+  try {
+    await changeJobStatus(req, res, 'closed');
+  } catch (error) {
+    console.error('❌ Close job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Republish a closed or expired job (optionally with a new deadline)
+// @route   PUT /api/jobs/:id/republish
+// @access  Private (Employer)
+export const republishJob = async (req, res) => {
+  try {
+    const applicationDeadline = req.body.applicationDeadline ? new Date(req.body.applicationDeadline) : null;
+    await changeJobStatus(req, res, 'published', { allowedFrom: ['closed', 'expired'], applicationDeadline });
+  } catch (error) {
+    console.error('❌ Republish job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Duplicate a job as a new draft (lượt xem, số đơn được đặt lại)
+// @route   POST /api/jobs/:id/duplicate
+// @access  Private (Employer)
+export const duplicateJob = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const company = await Company.findById(job.company);
+    if (!company || !company.hasMemberRole(req.user, COMPANY_MANAGE_ROLES)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to duplicate this job'
+      });
+    }
+
+    const source = job.toObject();
+    const body = { ...pickFields(source, JOB_CONTENT_FIELDS), status: 'draft' };
+
+    // Hạn nộp mới: theo body, hoặc giữ nguyên thời lượng nhận hồ sơ của tin gốc tính từ hôm nay
+    if (req.body.applicationDeadline) {
+      body.applicationDeadline = req.body.applicationDeadline;
+    } else if (job.applicationDeadline) {
+      const duration = job.applicationDeadline - (job.publishedAt || job.createdAt);
+      if (duration > 0) body.applicationDeadline = new Date(Date.now() + duration);
+    }
+
+    // Giữ tọa độ nhập tay; tọa độ geocode sẽ được tính lại khi lưu
+    if (job.geoSource === 'manual' && job.geo?.coordinates) {
+      [body.lng, body.lat] = job.geo.coordinates;
+    }
+
+    const duplicate = await Job.create(buildJobData(body, { companyId: job.company, user: req.user }));
+
+    console.log(`✅ Job ${job._id} duplicated as draft ${duplicate._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Job duplicated as draft',
+      data: { job: duplicate }
+    });
+  } catch (error) {
+    console.error('❌ Duplicate job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while duplicating job',
+      error: process.env.NODE_ENV === 'production' ? {} : error.message
+    });
+  }
+};
+
+// @desc    Get revision history of a job (?version=N: nội dung tin tại version N)
+// @route   GET /api/jobs/:id/history
+// @access  Private (Employer)
+export const getJobHistory = async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const company = await Company.findById(job.company);
+    if (!company || !company.hasMemberRole(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this job history'
+      });
+    }
+
+    const { page, limit, after, before, includeTotal, sortOrder, version } = req.query;
+    const targetVersion = version ? parseInt(version) : null;
+    if (targetVersion && targetVersion > job.version) {
+      return res.status(404).json({
+        success: false,
+        message: `Job version ${targetVersion} not found`
+      });
+    }
+
+    const [result, newerRevisions] = await Promise.all([
+      paginate(JobRevision, { job: job._id }, {
+        sortField: 'version',
+        sortOrder,
+        page,
+        limit,
+        after,
+        before,
+        includeTotal,
+        buildQuery: (query) => query.populate('changedBy', 'name email')
+      }),
+      targetVersion ? JobRevision.find({ job: job._id, version: { $gt: targetVersion } }).select('version changes') : null
+    ]);
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        currentVersion: job.version,
+        revisions: result.items,
+        pagination: result.pagination,
+        ...(targetVersion && {
+          snapshot: {
+            version: targetVersion,
+            fields: JobRevision.rebuildSnapshot(job.toJSON(), newerRevisions, EDITABLE_JOB_FIELDS)
+          }
+        })
+      }
+    });
+  } catch (error) {
+    console.error('❌ Get job history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching job history',
+      error: process.env.NODE_ENV === 'production' ? {} : error.message
+    });
+  }
+};
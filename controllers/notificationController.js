@@ -0,0 +1,138 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+
+// @desc    List my notifications
+// @route   GET /api/notifications
+// @access  Private
+export const getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+
+    const filter = { user: req.user._id };
+    if (unread === 'true') filter.readAt = null;
+
+    const notifications = await Notification.find(filter)
+      .populate('company', 'name logo')
+      .populate('job', 'title location')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const [total, unreadCount] = await Promise.all([
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user: req.user._id, readAt: null })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+export const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json({
+      success: true,
+      data: { notification }
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Mark all notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+export const markAllNotificationsRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({
+      success: true,
+      message: `${result.modifiedCount} notification(s) marked as read`
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update notification preferences
+// @route   PUT /api/notifications/preferences
+// @access  Private
+export const updateNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { 'notificationPreferences.companyJobs': req.body.companyJobs },
+      { new: true, runValidators: true }
+    );
+
+    // Tắt email tổng hợp thì các thông báo đang chờ chỉ còn trong app
+    if (req.body.companyJobs !== 'email_digest') {
+      await Notification.updateMany({ user: user._id, digestPending: true }, { digestPending: false });
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated',
+      data: { notificationPreferences: user.notificationPreferences }
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import OidcState from '../models/OidcState.js';
+import { issueAuthTokens, generateTwoFactorChallengeToken } from '../utils/generateToken.js';
+import { getClientUrl } from '../utils/sendEmail.js';
+import {
+  getOidcProviders,
+  getOidcProvider,
+  discoverProvider,
+  generateRandomToken,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeAuthorizationCode,
+  verifyIdToken
+} from '../utils/oidc.js';
+
+// Trả kết quả về frontend qua URL fragment (không lọt vào log server / Referer)
+const redirectToClient = (res, params) => {
+  const fragment = new URLSearchParams(params).toString();
+  res.redirect(`${getClientUrl()}/auth/oidc/callback#${fragment}`);
+};
+
+// Tìm user theo tài khoản OIDC đã liên kết, liên kết theo email đã xác thực, hoặc tạo sinh viên mới
+const resolveOidcUser = async (providerName, claims) => {
+  const linkedUser = await User.findOne({
+    oidcAccounts: { $elemMatch: { provider: providerName, subject: claims.sub } }
+  });
+  if (linkedUser) return { user: linkedUser };
+
+  const email = claims.email ? String(claims.email).toLowerCase() : null;
+  if (!email) return { error: 'email_required' };
+
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+  const existingUser = await User.findOne({ email });
+
+  if (existingUser) {
+    // Chỉ liên kết khi provider xác nhận email, tránh chiếm tài khoản qua email giả
+    if (!emailVerified) return { error: 'email_not_verified' };
+
+    existingUser.oidcAccounts.push({ provider: providerName, subject: claims.sub, email });
+    existingUser.isVerified = true;
+    await existingUser.save();
+    return { user: existingUser };
+  }
+
+  const name = String(claims.name || claims.preferred_username || email.split('@')[0]).trim().slice(0, 50);
+  const user = await User.create({
+    name: name.length >= 2 ? name : email.split('@')[0].slice(0, 50),
+    email,
+    // Không có mật khẩu thật - dùng "quên mật khẩu" nếu muốn đăng nhập bằng mật khẩu
+    password: crypto.randomBytes(32).toString('hex'),
+    userType: 'student',
+    isVerified: emailVerified,
+    oidcAccounts: [{ provider: providerName, subject: claims.sub, email }]
+  });
+
+  return { user };
+};
+
+// @desc    List configured OIDC providers
+// @route   GET /api/auth/oidc
+// @access  Public
+export const getProviders = async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      providers: getOidcProviders().map(provider => ({
+        name: provider.name,
+        displayName: provider.displayName,
+        loginUrl: `/api/auth/oidc/${provider.name}`
+      }))
+    }
+  });
+};
+
+// @desc    Start OIDC authorization code flow (PKCE)
+// @route   GET /api/auth/oidc/:provider
+// @access  Public
+export const startOidcLogin = async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sign-in provider not found'
+      });
+    }
+
+    const metadata = await discoverProvider(provider);
+    const { codeVerifier, codeChallenge } = createPkcePair();
+    const { redirectUri } = provider;
+
+    const oidcState = await OidcState.create({
+      state: generateRandomToken(),
+      provider: provider.name,
+      nonce: generateRandomToken(),
+      codeVerifier,
+      redirectUri
+    });
+
+    const authorizationUrl = buildAuthorizationUrl(provider, metadata, {
+      state: oidcState.state,
+      nonce: oidcState.nonce,
+      codeChallenge,
+      redirectUri
+    });
+
+    // SPA có thể lấy URL dạng JSON thay vì bị chuyển hướng
+    if (req.query.response === 'json') {
+      return res.json({
+        success: true,
+        data: { authorizationUrl }
+      });
+    }
+
+    res.redirect(authorizationUrl);
+
+  } catch (error) {
+    console.error('Start OIDC login error:', error);
+    res.status(502).json({
+      success: false,
+      message: 'Could not reach sign-in provider',
+      error: error.message
+    });
+  }
+};
+
+// @desc    OIDC callback: exchange code, verify id_token, sign in
+// @route   GET /api/auth/oidc/:provider/callback
+// @access  Public
+export const oidcCallback = async (req, res) => {
+  try {
+    const provider = getOidcProvider(req.params.provider);
+    if (!provider) {
+      return redirectToClient(res, { error: 'unknown_provider' });
+    }
+
+    if (req.query.error) {
+      return redirectToClient(res, { error: String(req.query.error) });
+    }
+
+    const oidcState = await OidcState.consume(req.query.state, provider.name);
+    if (!oidcState || !req.query.code) {
+      return redirectToClient(res, { error: 'invalid_state' });
+    }
+
+    const metadata = await discoverProvider(provider);
+    const tokenSet = await exchangeAuthorizationCode(provider, metadata, {
+      code: String(req.query.code),
+      codeVerifier: oidcState.codeVerifier,
+      redirectUri: oidcState.redirectUri
+    });
+
+    if (!tokenSet.id_token) {
+      return redirectToClient(res, { error: 'missing_id_token' });
+    }
+
+    const claims = await verifyIdToken(provider, metadata, tokenSet.id_token, oidcState.nonce);
+    const { user, error } = await resolveOidcUser(provider.name, claims);
+
+    if (error) {
+      return redirectToClient(res, { error });
+    }
+
+    if (!user.isActive) {
+      return redirectToClient(res, { error: 'account_deactivated' });
+    }
+
+    // Tài khoản bật 2FA vẫn phải nhập mã qua POST /api/auth/2fa/verify
+    if (user.twoFactorEnabled) {
+      return redirectToClient(res, { challengeToken: generateTwoFactorChallengeToken(user) });
+    }
+
+    const { token, refreshToken } = await issueAuthTokens(user, req);
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    redirectToClient(res, { token, refreshToken });
+
+  } catch (error) {
+    console.error('OIDC callback error:', error);
+    redirectToClient(res, { error: 'oidc_login_failed' });
+  }
+};
@@ -0,0 +1,287 @@
+import CompanyReview, { REVIEW_RATING_DIMENSIONS } from '../models/CompanyReview.js';
+import Company, { COMPANY_MANAGE_ROLES } from '../models/Company.js';
+import Application from '../models/Application.js';
+import Job from '../models/Job.js';
+
+const pickRatings = (ratings = {}) => {
+  return Object.fromEntries(REVIEW_RATING_DIMENSIONS.map(key => [key, ratings[key]]));
+};
+
+// Tìm đơn ứng tuyển đã được nhận của sinh viên tại công ty
+const findAcceptedApplication = async (companyId, studentId) => {
+  const jobIds = await Job.find({ company: companyId }).distinct('_id');
+  return Application.findOne({
+    job: { $in: jobIds },
+    applicant: studentId,
+    status: 'accepted'
+  }).select('_id');
+};
+
+const findCompanyReview = (req) => {
+  return CompanyReview.findOne({ _id: req.params.reviewId, company: req.params.id });
+};
+
+// @desc    List reviews of a company
+// @route   GET /api/companies/:id/reviews
+// @access  Public
+export const getReviews = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, sortBy = 'createdAt' } = req.query;
+
+    const company = await Company.findOne({ _id: req.params.id, isActive: true }).select('name rating');
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const filter = { company: company._id, isHidden: false };
+    const sortOptions = sortBy === 'rating'
+      ? { 'ratings.overall': -1, createdAt: -1 }
+      : { createdAt: -1 };
+
+    const reviews = await CompanyReview.find(filter)
+      .populate('author', 'name avatar')
+      .populate('reply.author', 'name')
+      .sort(sortOptions)
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await CompanyReview.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        rating: company.rating,
+        reviews,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Review a company
+// @route   POST /api/companies/:id/reviews
+// @access  Private (Student with an accepted application)
+export const createReview = async (req, res) => {
+  try {
+    const company = await Company.findOne({ _id: req.params.id, isActive: true }).select('_id');
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const application = await findAcceptedApplication(company._id, req.user._id);
+    if (!application) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only students accepted for a job at this company can review it'
+      });
+    }
+
+    const alreadyReviewed = await CompanyReview.exists({ company: company._id, author: req.user._id });
+    if (alreadyReviewed) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reviewed this company'
+      });
+    }
+
+    const { ratings, title, content, isAnonymous } = req.body;
+    const review = await CompanyReview.create({
+      company: company._id,
+      author: req.user._id,
+      application: application._id,
+      ratings: pickRatings(ratings),
+      title,
+      content,
+      isAnonymous
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Review posted successfully',
+      data: { review }
+    });
+
+  } catch (error) {
+    console.error('Create review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update own review
+// @route   PUT /api/companies/:id/reviews/:reviewId
+// @access  Private (Review author)
+export const updateReview = async (req, res) => {
+  try {
+    const review = await findCompanyReview(req);
+
+    if (!review || review.author.toString() !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const { ratings, title, content, isAnonymous } = req.body;
+    if (ratings) review.ratings = pickRatings({ ...review.ratings.toObject(), ...ratings });
+    if (title !== undefined) review.title = title;
+    if (content !== undefined) review.content = content;
+    if (isAnonymous !== undefined) review.isAnonymous = isAnonymous;
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Review updated successfully',
+      data: { review }
+    });
+
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete own review
+// @route   DELETE /api/companies/:id/reviews/:reviewId
+// @access  Private (Review author)
+export const deleteReview = async (req, res) => {
+  try {
+    const review = await CompanyReview.findOneAndDelete({
+      _id: req.params.reviewId,
+      company: req.params.id,
+      author: req.user._id
+    });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Reply to a review
+// @route   PUT /api/companies/:id/reviews/:reviewId/reply
+// @access  Private (Company owner/recruiter)
+export const replyToReview = async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company || !company.hasMemberRole(req.user, COMPANY_MANAGE_ROLES)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to reply on behalf of this company'
+      });
+    }
+
+    const review = await findCompanyReview(req);
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    review.reply = {
+      content: req.body.content,
+      author: req.user._id,
+      repliedAt: new Date()
+    };
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Reply saved successfully',
+      data: { review }
+    });
+
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Report an abusive review
+// @route   POST /api/companies/:id/reviews/:reviewId/report
+// @access  Private (Student)
+export const reportReview = async (req, res) => {
+  try {
+    const review = await findCompanyReview(req);
+    if (!review || review.isHidden) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.author.toString() === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot report your own review'
+      });
+    }
+
+    if (!review.addReport(req.user, req.body.reason, req.body.details)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have already reported this review'
+      });
+    }
+    await review.save();
+
+    res.json({
+      success: true,
+      message: 'Report submitted. Thank you for helping keep reviews trustworthy.'
+    });
+
+  } catch (error) {
+    console.error('Report review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
@@ -1,6 +1,17 @@
 import User from '../models/User.js';
 import Application from '../models/Application.js';
 import Job from '../models/Job.js';
+import Company from '../models/Company.js';
+import Session from '../models/Session.js';
+import CompanyFollow from '../models/CompanyFollow.js';
+import Notification from '../models/Notification.js';
+import archiver from 'archiver';
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { resolveUploadPath, deleteUploadedFile } from '../utils/upload.js';
+import { buildTextSearch } from '../utils/jobSearch.js';
 
 // @desc    Get user profile
 // @route   GET /api/users/profile/:id?
@@ -237,6 +248,68 @@ export const getSavedJobs = async (req, res) => {
   }
 };
 
+// @desc    Get followed companies
+// @route   GET /api/users/following
+// @access  Private (Student)
+export const getFollowedCompanies = async (req, res) => {
+  try {
+    const follows = await CompanyFollow.find({ user: req.user._id })
+      .populate({
+        path: 'company',
+        match: { isActive: true },
+        select: 'name logo industry city isVerified jobCount followerCount rating'
+      })
+      .sort({ createdAt: -1 });
+
+    const companies = follows
+      .filter(follow => follow.company)
+      .map(follow => ({ ...follow.company.toJSON(), followedAt: follow.createdAt }));
+
+    res.json({
+      success: true,
+      data: { companies }
+    });
+
+  } catch (error) {
+    console.error('Get followed companies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Update weekly availability
+// @route   PUT /api/users/availability
+// @access  Private (Student)
+export const updateAvailability = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    user.availability = req.body.availability.map(({ dayOfWeek, startTime, endTime }) => ({
+      dayOfWeek,
+      startTime,
+      endTime
+    }));
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Availability updated successfully',
+      data: { availability: user.availability }
+    });
+
+  } catch (error) {
+    console.error('Update availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Save job
 // @route   POST /api/users/saved-jobs/:jobId
 // @access  Private (Student)
@@ -322,7 +395,7 @@ export const getRecommendedJobs = async (req, res) => {
       $or: [
         { category: { $in: user.skills || [] } },
         { skills: { $in: user.skills || [] } },
-        { $text: { $search: user.major || user.school || '' } }
+        { $text: buildTextSearch(user.major || user.school || '') }
       ]
     })
       .populate('company', 'name logo industry')
@@ -344,3 +417,166 @@ export const getRecommendedJobs = async (req, res) => {
     });
   }
 };
+
+// @desc    Export personal data as a zip archive
+// @route   GET /api/users/me/export
+// @access  Private
+export const exportMyData = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).populate('company', 'name email');
+
+    const applications = await Application.find({ applicant: user._id })
+      .populate({
+        path: 'job',
+        select: 'title description salary location address jobType category workHours applicationDeadline company',
+        populate: { path: 'company', select: 'name' }
+      })
+      .sort({ appliedAt: -1 });
+
+    const savedJobs = await Job.find({ _id: { $in: user.savedJobs } })
+      .populate('company', 'name')
+      .select('title company salary location jobType category isActive createdAt');
+
+    // File đã upload (avatar, CV trong hồ sơ và CV đính kèm từng đơn ứng tuyển)
+    const uploadedFiles = [user.avatar, user.resume, ...applications.map(app => app.resume)]
+      .map(resolveUploadPath)
+      .filter((filePath, index, all) => filePath && all.indexOf(filePath) === index && fs.existsSync(filePath));
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.on('error', (archiveError) => {
+      console.error('Export archive error:', archiveError);
+      res.destroy(archiveError);
+    });
+
+    res.attachment(`parttimejob-data-${user._id}-${new Date().toISOString().slice(0, 10)}.zip`);
+    archive.pipe(res);
+
+    archive.append(JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      profile: user.toJSON()
+    }, null, 2), { name: 'profile.json' });
+    archive.append(JSON.stringify(applications, null, 2), { name: 'applications.json' });
+    archive.append(JSON.stringify(savedJobs, null, 2), { name: 'saved-jobs.json' });
+    uploadedFiles.forEach(filePath => {
+      archive.file(filePath, { name: `files/${path.basename(filePath)}` });
+    });
+
+    await archive.finalize();
+
+  } catch (error) {
+    console.error('Export my data error:', error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Delete (anonymize) own account
+// @route   DELETE /api/users/me
+// @access  Private
+export const deleteMyAccount = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('+password');
+
+    const isPasswordMatch = await user.comparePassword(req.body.password);
+    if (!isPasswordMatch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    // Không để công ty còn thành viên mà không có owner
+    const ownedCompanies = await Company.find({ members: { $elemMatch: { user: user._id, role: 'owner' } } });
+    const blockingCompany = ownedCompanies.find(company =>
+      company.members.length > 1 &&
+      company.members.filter(m => m.role === 'owner').length === 1
+    );
+    if (blockingCompany) {
+      return res.status(400).json({
+        success: false,
+        message: `Please transfer ownership of ${blockingCompany.name} before deleting your account`
+      });
+    }
+
+    const applications = await Application.find({ applicant: user._id }).select('resume');
+    const filesToDelete = [user.avatar, user.resume, ...applications.map(app => app.resume)].filter(Boolean);
+
+    // Giữ đơn ứng tuyển cho nhà tuyển dụng nhưng bỏ thông tin cá nhân
+    await Application.updateMany(
+      { applicant: user._id },
+      { $unset: { coverLetter: 1, resume: 1 } }
+    );
+
+    await Company.updateMany(
+      { 'members.user': user._id },
+      { $pull: { members: { user: user._id } } }
+    );
+
+    const followedCompanyIds = await CompanyFollow.find({ user: user._id }).distinct('company');
+    await CompanyFollow.deleteMany({ user: user._id });
+    await Company.updateMany(
+      { _id: { $in: followedCompanyIds }, followerCount: { $gt: 0 } },
+      { $inc: { followerCount: -1 } }
+    );
+    await Notification.deleteMany({ user: user._id });
+
+    await Session.revokeAllForUser(user._id, 'account_deleted');
+
+    // Ẩn danh tài khoản (updateOne để bỏ qua validate email/hash password)
+    const randomPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          name: 'Deleted user',
+          email: `deleted-${user._id}@deleted.invalid`,
+          password: randomPassword,
+          isActive: false,
+          isVerified: false,
+          twoFactorEnabled: false,
+          skills: [],
+          savedJobs: [],
+          deletedAt: new Date()
+        },
+        $unset: {
+          phone: 1,
+          avatar: 1,
+          dateOfBirth: 1,
+          address: 1,
+          bio: 1,
+          school: 1,
+          major: 1,
+          year: 1,
+          resume: 1,
+          company: 1,
+          position: 1,
+          twoFactorSecret: 1,
+          twoFactorPendingSecret: 1,
+          twoFactorRecoveryCodes: 1,
+          resetPasswordToken: 1,
+          resetPasswordExpire: 1
+        }
+      }
+    );
+
+    await Promise.all([...new Set(filesToDelete)].map(deleteUploadedFile));
+
+    res.json({
+      success: true,
+      message: 'Your account and personal data have been deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete my account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: error.message
+    });
+  }
+};
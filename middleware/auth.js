@@ -1,8 +1,83 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import ApiKey from '../models/ApiKey.js';
+
+// Tra cứu và xác minh X-API-Key một lần cho mỗi request, null nếu không có hoặc không hợp lệ
+const findVerifiedApiKey = async (req) => {
+  if (req.verifiedApiKey === undefined) {
+    const apiKey = req.header('X-API-Key') ? await ApiKey.findByRawKey(req.header('X-API-Key')) : null;
+    req.verifiedApiKey = apiKey && apiKey.isValid ? apiKey : null;
+  }
+  return req.verifiedApiKey;
+};
+
+// Đặt trước rate limit: chỉ key đã xác minh mới được giới hạn theo key, header giả vẫn bị giới hạn theo IP
+export const identifyApiKey = async (req, res, next) => {
+  try {
+    await findVerifiedApiKey(req);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Xác thực bằng X-API-Key (tích hợp ATS), chỉ cho route đã khai báo allowApiKey
+const authenticateApiKey = async (req, res, next) => {
+  if (!req.apiKeyScope) {
+    return res.status(403).json({
+      success: false,
+      message: 'API keys are not accepted for this endpoint'
+    });
+  }
+
+  const apiKey = await findVerifiedApiKey(req);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'API key is invalid or has been revoked'
+    });
+  }
+
+  if (!apiKey.scopes.includes(req.apiKeyScope)) {
+    return res.status(403).json({
+      success: false,
+      message: `API key is missing the required scope: ${req.apiKeyScope}`
+    });
+  }
+
+  const user = await User.findById(apiKey.employer).select('-password');
+
+  if (!user || !user.isActive) {
+    return res.status(401).json({
+      success: false,
+      message: 'Account is deactivated'
+    });
+  }
+
+  // Cập nhật lần dùng cuối, tối đa mỗi phút một lần
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > 60 * 1000) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip });
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+};
+
+// Cho phép route nhận X-API-Key với scope tương ứng - đặt trước auth/employerAuth
+export const allowApiKey = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope;
+  next();
+};
 
 export const auth = async (req, res, next) => {
   try {
+    if (req.header('X-API-Key')) {
+      return await authenticateApiKey(req, res, next);
+    }
+
     const token = req.header('Authorization')?.replace('Bearer ', '');
 
     if (!token) {
@@ -13,6 +88,24 @@ export const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
+
+    // Token có purpose (xác thực email...) không dùng để đăng nhập
+    if (decoded.purpose) {
+      return res.status(401).json({
+        success: false,
+        message: 'Token is invalid'
+      });
+    }
+
+    // Access token phải thuộc một session chưa bị thu hồi
+    const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+    if (!session || !session.isValid || session.user.toString() !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+
     const user = await User.findById(decoded.id).select('-password');
 
     if (!user) {
@@ -29,9 +122,25 @@ export const auth = async (req, res, next) => {
       });
     }
 
+    // Đổi/đặt lại mật khẩu sẽ vô hiệu các token cũ
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password was changed recently, please log in again'
+      });
+    }
+
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Token has expired'
+      });
+    }
+
     console.error('Auth middleware error:', error);
     res.status(401).json({
       success: false,
@@ -46,9 +155,11 @@ export const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
-      const user = await User.findById(decoded.id).select('-password');
-      if (user && user.isActive) {
+      const session = decoded.sid && !decoded.purpose ? await Session.findById(decoded.sid) : null;
+      const user = session && session.isValid ? await User.findById(decoded.id).select('-password') : null;
+      if (user && user.isActive && !user.changedPasswordAfter(decoded.iat)) {
         req.user = user;
+        req.authSession = session;
       }
     }
 
@@ -95,3 +206,35 @@ export const studentAuth = async (req, res, next) => {
     });
   }
 };
+
+export const adminAuth = async (req, res, next) => {
+  try {
+    await auth(req, res, () => {
+      if (req.user.userType !== 'admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Admin privileges required.'
+        });
+      }
+      next();
+    });
+  } catch (error) {
+    res.status(401).json({
+      success: false,
+      message: 'Authentication failed'
+    });
+  }
+};
+
+// Chặn nhà tuyển dụng chưa xác thực email (tắt bằng REQUIRE_EMAIL_VERIFICATION=false)
+// Dùng sau employerAuth/auth vì cần req.user
+export const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION === 'false' || req.user.isVerified) {
+    return next();
+  }
+
+  res.status(403).json({
+    success: false,
+    message: 'Please verify your email address before continuing'
+  });
+};
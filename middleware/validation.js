@@ -1,4 +1,6 @@
-import { validationResult } from 'express-validator';
+import { validationResult, body, query } from 'express-validator';
+import { MAX_PAGE_LIMIT } from '../utils/pagination.js';
+import { MAX_WEEKLY_SLOTS, TIME_PATTERN, toMinutes } from '../utils/schedule.js';
 
 export const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -13,3 +15,120 @@ export const handleValidationErrors = (req, res, next) => {
 
   next();
 };
+
+// Chạy validation chain ngoài route (dòng CSV, template + overrides): trả về body đã sanitize và danh sách lỗi
+export const runValidation = async (validations, body) => {
+  const req = { body };
+  for (const validation of validations) await validation.run(req);
+
+  return { body: req.body, errors: validationResult(req).array() };
+};
+
+// Tham số phân trang dùng chung (page mode hoặc cursor mode ?after= / ?before=)
+export const paginationValidation = (sortFields = []) => [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_PAGE_LIMIT })
+    .withMessage(`limit must be between 1 and ${MAX_PAGE_LIMIT}`),
+  query('after')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('Invalid cursor'),
+  query('before')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('Invalid cursor')
+    .custom((value, { req }) => req.query.after === undefined)
+    .withMessage('Use either after or before, not both'),
+  query('includeTotal')
+    .optional()
+    .isBoolean()
+    .withMessage('includeTotal must be a boolean'),
+  query('sortBy')
+    .optional()
+    .isIn(sortFields)
+    .withMessage(`sortBy must be one of: ${sortFields.join(', ')}`),
+  query('sortOrder')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('sortOrder must be asc or desc')
+];
+
+// Lịch theo tuần [{ dayOfWeek, startTime, endTime }] (ca làm của tin, lịch rảnh của sinh viên)
+export const weeklySlotsValidation = (field, { optional = false } = {}) => {
+  const list = body(field);
+  if (optional) list.optional();
+
+  return [
+    list
+      .isArray({ max: MAX_WEEKLY_SLOTS })
+      .withMessage(`${field} must be an array of at most ${MAX_WEEKLY_SLOTS} time slots`),
+    body(`${field}.*.dayOfWeek`)
+      .isInt({ min: 0, max: 6 })
+      .withMessage('dayOfWeek must be between 0 (Sunday) and 6 (Saturday)'),
+    body(`${field}.*.startTime`)
+      .matches(TIME_PATTERN)
+      .withMessage('startTime must be in HH:mm format'),
+    body(`${field}.*.endTime`)
+      .matches(TIME_PATTERN)
+      .withMessage('endTime must be in HH:mm format')
+      .custom((value, { req, path }) => {
+        const index = Number(path.match(/\[(\d+)\]\.endTime$/)[1]);
+        return toMinutes(value) > toMinutes(req.body[field][index].startTime);
+      })
+      .withMessage('endTime must be after startTime')
+  ];
+};
+
+// Tạo / sửa tin tuyển dụng (dùng chung cho POST /api/jobs, nhập CSV) - LINH HOẠT HƠN
+export const createJobValidation = [
+  body('title')
+    .trim()
+    .isLength({ min: 5, max: 100 })
+    .withMessage('Title must be between 5 and 100 characters'),
+  body('description')
+    .trim()
+    .isLength({ min: 10, max: 5000 }) // Giảm min length, tăng max
+    .withMessage('Description must be between 10 and 5000 characters'),
+  body('location')
+    .notEmpty()
+    .withMessage('Location is required'),
+  body('jobType')
+    .isIn(['Bán thời gian', 'Toàn thời gian', 'Thực tập', 'Freelance'])
+    .withMessage('Invalid job type'),
+  body('category')
+    .isIn(['Phục vụ', 'Bán hàng', 'Gia sư', 'Công nghệ', 'Giao hàng', 'Văn phòng', 'Khác'])
+    .withMessage('Invalid category'),
+  // BỎ required cho salary và contactEmail để linh hoạt hơn
+  body('status')
+    .optional()
+    .isIn(['draft', 'published'])
+    .withMessage('Status must be draft or published'),
+  body('publishAt')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('publishAt must be a valid date'),
+  // Tọa độ nhập tay (gửi cả lat và lng)
+  body('lat')
+    .optional({ checkFalsy: true })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('lat must be between -90 and 90')
+    .custom((value, { req }) => Boolean(req.body.lng))
+    .withMessage('lat and lng must be provided together'),
+  body('lng')
+    .optional({ checkFalsy: true })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('lng must be between -180 and 180')
+    .custom((value, { req }) => Boolean(req.body.lat))
+    .withMessage('lat and lng must be provided together'),
+  // Ca làm theo tuần
+  ...weeklySlotsValidation('shifts', { optional: true }),
+  body('minShiftsPerWeek')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: MAX_WEEKLY_SLOTS })
+    .withMessage(`minShiftsPerWeek must be between 1 and ${MAX_WEEKLY_SLOTS}`)
+];
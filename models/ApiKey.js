@@ -0,0 +1,103 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+export const API_KEY_SCOPES = ['jobs:read', 'jobs:write', 'applications:read', 'applications:write'];
+
+const apiKeySchema = new mongoose.Schema({
+  employer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: [100, 'Key name cannot be more than 100 characters']
+  },
+  // Phần đầu của key, dùng để tra cứu và hiển thị (ptj_<prefix>_...)
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  scopes: {
+    type: [{ type: String, enum: API_KEY_SCOPES }],
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: String,
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// 🔍 Index
+apiKeySchema.index({ employer: 1, createdAt: -1 });
+
+const hashKey = (rawKey) => crypto.createHash('sha256').update(rawKey).digest('hex');
+
+// ⚙️ Virtual: Check if key can still be used
+apiKeySchema.virtual('isValid').get(function () {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt <= new Date()) return false;
+  return true;
+});
+
+// 🔁 Method: Generate the raw key (chỉ trả về một lần, DB chỉ lưu hash)
+apiKeySchema.methods.generateKey = function () {
+  this.prefix = crypto.randomBytes(6).toString('hex');
+  const rawKey = `ptj_${this.prefix}_${crypto.randomBytes(32).toString('hex')}`;
+  this.keyHash = hashKey(rawKey);
+  return rawKey;
+};
+
+// 🎯 Static: Extract prefix from "ptj_<prefix>_<secret>"
+apiKeySchema.statics.getPrefix = function (rawKey = '') {
+  const match = /^ptj_([a-f0-9]{12})_[a-f0-9]{64}$/.exec(String(rawKey));
+  return match ? match[1] : null;
+};
+
+// 🎯 Static: Find a key by its raw value (so sánh hash an toàn về thời gian)
+apiKeySchema.statics.findByRawKey = async function (rawKey) {
+  const prefix = this.getPrefix(rawKey);
+  if (!prefix) return null;
+
+  const apiKey = await this.findOne({ prefix }).select('+keyHash');
+  if (!apiKey) return null;
+
+  const candidate = Buffer.from(hashKey(rawKey));
+  const stored = Buffer.from(apiKey.keyHash);
+  if (candidate.length !== stored.length || !crypto.timingSafeEqual(candidate, stored)) {
+    return null;
+  }
+
+  return apiKey;
+};
+
+apiKeySchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.keyHash;
+    return ret;
+  }
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+export default ApiKey;
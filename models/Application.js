@@ -1,5 +1,8 @@
 import mongoose from 'mongoose';
 
+// Các trường được phép sắp xếp danh sách hồ sơ (phân trang cursor dựa trên trường này + _id)
+export const APPLICATION_SORT_FIELDS = ['appliedAt', 'updatedAt', 'reviewedAt', 'interviewDate', 'status'];
+
 const applicationSchema = new mongoose.Schema({
   job: {
     type: mongoose.Schema.Types.ObjectId,
@@ -35,26 +38,43 @@ const applicationSchema = new mongoose.Schema({
     maxlength: [500, 'Notes cannot be more than 500 characters']
   },
   interviewDate: Date,
-  interviewLocation: String
+  interviewLocation: String,
+  // Version của tin lúc nộp đơn (xem nội dung tin lúc đó qua GET /api/jobs/:id/history?version=)
+  jobVersion: Number
 }, { timestamps: true });
 
 // 🧩 Ngăn ứng viên nộp 2 lần cho 1 job
 applicationSchema.index({ job: 1, applicant: 1 }, { unique: true });
 
-// 📈 Tự động tăng số lượng ứng tuyển khi có ứng viên mới
-applicationSchema.post('save', async function () {
-  const Job = mongoose.model('Job');
-  await Job.findByIdAndUpdate(this.job, {
-    $inc: { applicationCount: 1 }
-  });
+// 📈 Đếm lại số đơn (tổng + theo trạng thái) của job sau mỗi thay đổi
+const refreshJobCounts = async (jobId) => {
+  try {
+    await mongoose.model('Job').refreshApplicationCounts(jobId);
+  } catch (error) {
+    console.error('Error updating job application counts:', error);
+  }
+};
+
+applicationSchema.pre('save', function (next) {
+  this.$locals.countsChanged = this.isNew || this.isModified('status');
+  next();
+});
+
+applicationSchema.post('save', async function (doc) {
+  if (doc.$locals.countsChanged) await refreshJobCounts(doc.job);
+});
+
+// findByIdAndUpdate / findByIdAndDelete không chạy hook 'save' / 'remove'
+applicationSchema.post('findOneAndUpdate', async function (doc) {
+  if (doc) await refreshJobCounts(doc.job);
+});
+
+applicationSchema.post('findOneAndDelete', async function (doc) {
+  if (doc) await refreshJobCounts(doc.job);
 });
 
-// 📉 Giảm khi ứng viên rút đơn
-applicationSchema.post('remove', async function () {
-  const Job = mongoose.model('Job');
-  await Job.findByIdAndUpdate(this.job, {
-    $inc: { applicationCount: -1 }
-  });
+applicationSchema.post('deleteOne', { document: true, query: false }, async function (doc) {
+  await refreshJobCounts(doc.job);
 });
 
 const Application = mongoose.model('Application', applicationSchema);
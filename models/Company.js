@@ -1,4 +1,30 @@
 import mongoose from 'mongoose';
+import { GEO_SOURCES, geocodeLocation, isValidCoordinates } from '../utils/geocoding.js';
+
+// owner: toàn quyền (sửa công ty, quản lý thành viên) - recruiter: đăng tin, xử lý hồ sơ - viewer: chỉ xem
+export const COMPANY_ROLES = ['owner', 'recruiter', 'viewer'];
+export const COMPANY_MANAGE_ROLES = ['owner', 'recruiter'];
+
+const companyMemberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: COMPANY_ROLES,
+    default: 'recruiter'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const companySchema = new mongoose.Schema({
   name: {
@@ -39,6 +65,19 @@ const companySchema = new mongoose.Schema({
     required: true
   },
   district: String,
+  // 📍 Tọa độ GeoJSON [lng, lat]: nhập tay hoặc geocode từ address/district/city
+  geo: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+      validate: [isValidCoordinates, 'Coordinates must be [longitude, latitude]']
+    }
+  },
+  geoSource: {
+    type: String,
+    enum: GEO_SOURCES
+  },
   phone: {
     type: String,
     match: [/^(03|05|07|08|09|01[2|6|8|9])+([0-9]{8})\b$/, 'Please enter a valid Vietnamese phone number']
@@ -57,6 +96,12 @@ const companySchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  verificationStatus: {
+    type: String,
+    enum: ['unverified', 'pending', 'verified', 'rejected'],
+    default: 'unverified'
+  },
+  verifiedAt: Date,
   isActive: {
     type: Boolean,
     default: true
@@ -69,15 +114,84 @@ const companySchema = new mongoose.Schema({
   jobCount: {
     type: Number,
     default: 0
-  }
+  },
+  followerCount: {
+    type: Number,
+    default: 0
+  },
+  // ⭐ Điểm đánh giá trung bình (CompanyReview.updateCompanyRating)
+  rating: {
+    overall: { type: Number, default: 0 },
+    pay: { type: Number, default: 0 },
+    workEnvironment: { type: Number, default: 0 },
+    management: { type: Number, default: 0 },
+    flexibility: { type: Number, default: 0 },
+    count: { type: Number, default: 0 }
+  },
+  members: [companyMemberSchema]
 }, { timestamps: true });
 
+// 🔍 Index
+companySchema.index({ 'members.user': 1 });
+companySchema.index({ geo: '2dsphere' });
+
+// 📍 Geocode khi tạo công ty hoặc đổi địa chỉ (trừ khi tọa độ được nhập tay cùng lúc)
+companySchema.pre('save', function (next) {
+  const addressChanged = this.isNew || ['address', 'district', 'city'].some(field => this.isModified(field));
+  if (addressChanged && !this.isModified('geo')) {
+    const result = geocodeLocation(this.address, this.district, this.city);
+    this.geo = result ? result.point : undefined;
+    this.geoSource = result ? 'geocoded' : undefined;
+  }
+  next();
+});
+
 // 📊 Cập nhật số lượng công việc khi có thay đổi
 companySchema.methods.updateJobCount = async function () {
+  this.jobCount = await this.constructor.refreshJobCount(this._id);
+  return this.jobCount;
+};
+
+// 📊 Static: Count active jobs of a company and store it in jobCount
+companySchema.statics.refreshJobCount = async function (companyId) {
   const Job = mongoose.model('Job');
-  const count = await Job.countDocuments({ company: this._id, isActive: true });
-  this.jobCount = count;
-  await this.save();
+  const count = await Job.countDocuments({ company: companyId, isActive: true });
+  await this.updateOne({ _id: companyId }, { jobCount: count });
+  return count;
+};
+
+// 👥 Method: Get the role of a user in this company (null nếu không phải thành viên)
+companySchema.methods.getMemberRole = function (user) {
+  const member = this.members.find(m => m.user.toString() === user._id.toString());
+  if (member) return member.role;
+
+  // Công ty cũ chưa có danh sách thành viên: user đang liên kết với công ty là owner
+  if (this.members.length === 0 && user.company && user.company.toString() === this._id.toString()) {
+    return 'owner';
+  }
+
+  return null;
+};
+
+// 👥 Method: Check if user has one of the given roles
+companySchema.methods.hasMemberRole = function (user, roles = COMPANY_ROLES) {
+  return roles.includes(this.getMemberRole(user));
+};
+
+// 🎯 Static: Get ids of companies where the user has one of the given roles
+companySchema.statics.findIdsForMember = async function (user, roles = COMPANY_ROLES) {
+  const companies = await this.find({
+    members: { $elemMatch: { user: user._id, role: { $in: roles } } }
+  }).select('_id');
+  const ids = companies.map(company => company._id);
+
+  // Công ty cũ chưa có thành viên nào
+  if (user.company && roles.includes('owner') && !ids.some(id => id.equals(user.company))) {
+    const legacy = await this.exists({ _id: user.company, 'members.0': { $exists: false } });
+    if (legacy) ids.push(legacy._id);
+  }
+
+  return ids;
 };
 
 const Company = mongoose.model('Company', companySchema);
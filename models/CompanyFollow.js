@@ -0,0 +1,21 @@
+import mongoose from 'mongoose';
+
+const companyFollowSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  }
+}, { timestamps: true });
+
+// 🧩 Mỗi user theo dõi 1 công ty 1 lần
+companyFollowSchema.index({ user: 1, company: 1 }, { unique: true });
+companyFollowSchema.index({ company: 1 });
+
+const CompanyFollow = mongoose.model('CompanyFollow', companyFollowSchema);
+export default CompanyFollow;
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { COMPANY_ROLES } from './Company.js';
+
+const companyInvitationSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: COMPANY_ROLES,
+    default: 'recruiter'
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: Date
+}, { timestamps: true });
+
+// 🔍 Index
+companyInvitationSchema.index({ company: 1, email: 1 });
+
+// ⚙️ Virtual: Check if invitation can still be accepted
+companyInvitationSchema.virtual('isPending').get(function () {
+  return !this.acceptedAt && !this.revokedAt && this.expiresAt > new Date();
+});
+
+// 🎯 Static: Hash invitation token (chỉ lưu bản hash)
+companyInvitationSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// 🔁 Method: Generate invitation token, valid for 7 days
+companyInvitationSchema.methods.generateToken = function () {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.tokenHash = this.constructor.hashToken(token);
+  this.expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+  return token;
+};
+
+companyInvitationSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+const CompanyInvitation = mongoose.model('CompanyInvitation', companyInvitationSchema);
+export default CompanyInvitation;
@@ -0,0 +1,164 @@
+import mongoose from 'mongoose';
+
+export const REVIEW_RATING_DIMENSIONS = ['overall', 'pay', 'workEnvironment', 'management', 'flexibility'];
+export const REVIEW_REPORT_REASONS = ['spam', 'offensive', 'false_information', 'personal_information', 'other'];
+
+// Số lượt báo cáo để tự ẩn đánh giá chờ admin xử lý
+const AUTO_HIDE_REPORT_COUNT = 5;
+
+const ratingField = {
+  type: Number,
+  required: true,
+  min: [1, 'Rating must be between 1 and 5'],
+  max: [5, 'Rating must be between 1 and 5']
+};
+
+const reviewReportSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REVIEW_REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    maxlength: [500, 'Details cannot be more than 500 characters']
+  },
+  reportedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const companyReviewSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Đơn ứng tuyển được nhận - bằng chứng đã làm việc tại công ty
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Application',
+    required: true
+  },
+  ratings: {
+    overall: ratingField,
+    pay: ratingField,
+    workEnvironment: ratingField,
+    management: ratingField,
+    flexibility: ratingField
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot be more than 100 characters']
+  },
+  content: {
+    type: String,
+    required: [true, 'Review content is required'],
+    trim: true,
+    minlength: [20, 'Review must be at least 20 characters'],
+    maxlength: [3000, 'Review cannot be more than 3000 characters']
+  },
+  isAnonymous: {
+    type: Boolean,
+    default: false
+  },
+  reply: {
+    content: {
+      type: String,
+      maxlength: [2000, 'Reply cannot be more than 2000 characters']
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    repliedAt: Date
+  },
+  reports: [reviewReportSchema],
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  isHidden: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+// 🧩 Mỗi sinh viên chỉ đánh giá 1 lần / công ty
+companyReviewSchema.index({ company: 1, author: 1 }, { unique: true });
+companyReviewSchema.index({ company: 1, isHidden: 1, createdAt: -1 });
+companyReviewSchema.index({ reportCount: -1 });
+
+// 🚩 Method: Add an abuse report (mỗi user 1 lần), trả về false nếu đã báo cáo
+companyReviewSchema.methods.addReport = function (user, reason, details) {
+  if (this.reports.some(report => report.user.toString() === user._id.toString())) {
+    return false;
+  }
+
+  this.reports.push({ user: user._id, reason, details });
+  this.reportCount = this.reports.length;
+  if (this.reportCount >= AUTO_HIDE_REPORT_COUNT) this.isHidden = true;
+
+  return true;
+};
+
+// 📊 Static: Recalculate aggregate rating of a company (bỏ qua đánh giá bị ẩn)
+companyReviewSchema.statics.updateCompanyRating = async function (companyId) {
+  const Company = mongoose.model('Company');
+
+  const [stats] = await this.aggregate([
+    { $match: { company: new mongoose.Types.ObjectId(companyId), isHidden: false } },
+    {
+      $group: {
+        _id: '$company',
+        count: { $sum: 1 },
+        ...Object.fromEntries(REVIEW_RATING_DIMENSIONS.map(key => [key, { $avg: `$ratings.${key}` }]))
+      }
+    }
+  ]);
+
+  const round = value => Math.round(value * 10) / 10;
+  const rating = { count: stats ? stats.count : 0 };
+  REVIEW_RATING_DIMENSIONS.forEach(key => {
+    rating[key] = stats ? round(stats[key]) : 0;
+  });
+
+  await Company.findByIdAndUpdate(companyId, { rating });
+};
+
+// 📈 Cập nhật điểm trung bình khi đánh giá thay đổi
+companyReviewSchema.post('save', async function () {
+  await this.constructor.updateCompanyRating(this.company);
+});
+
+companyReviewSchema.post('findOneAndDelete', async function (doc) {
+  if (doc) await doc.constructor.updateCompanyRating(doc.company);
+});
+
+companyReviewSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.reports;
+    delete ret.application;
+    // Ẩn danh: không trả về người viết
+    if (ret.isAnonymous) delete ret.author;
+    return ret;
+  }
+});
+
+const CompanyReview = mongoose.model('CompanyReview', companyReviewSchema);
+export default CompanyReview;
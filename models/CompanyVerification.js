@@ -0,0 +1,107 @@
+import mongoose from 'mongoose';
+
+// Hồ sơ xác minh doanh nghiệp: mã số thuế + giấy phép kinh doanh (PDF)
+const verificationDocumentSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  originalName: String,
+  size: Number
+}, { _id: false });
+
+const companyVerificationSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  submittedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  taxCode: {
+    type: String,
+    required: [true, 'Tax code is required'],
+    trim: true,
+    match: [/^\d{10}(-\d{3})?$/, 'Tax code must have 10 digits, optionally followed by -XXX for a branch']
+  },
+  documents: {
+    type: [verificationDocumentSchema],
+    validate: [docs => docs.length > 0, 'At least one document is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: {
+    type: String,
+    maxlength: [1000, 'Rejection reason cannot be more than 1000 characters']
+  }
+}, { timestamps: true });
+
+// 🔍 Index
+companyVerificationSchema.index({ status: 1, createdAt: 1 });
+companyVerificationSchema.index({ company: 1, createdAt: -1 });
+
+// ✅ Method: Approve request and mark company as verified
+companyVerificationSchema.methods.approve = async function (reviewer) {
+  const Company = mongoose.model('Company');
+
+  this.status = 'approved';
+  this.reviewedBy = reviewer._id;
+  this.reviewedAt = new Date();
+  this.rejectionReason = undefined;
+  await this.save();
+
+  return Company.findByIdAndUpdate(
+    this.company,
+    {
+      taxCode: this.taxCode,
+      isVerified: true,
+      verificationStatus: 'verified',
+      verifiedAt: this.reviewedAt
+    },
+    { new: true }
+  );
+};
+
+// ❌ Method: Reject request with a reason
+companyVerificationSchema.methods.reject = async function (reviewer, reason) {
+  const Company = mongoose.model('Company');
+
+  this.status = 'rejected';
+  this.reviewedBy = reviewer._id;
+  this.reviewedAt = new Date();
+  this.rejectionReason = reason;
+  await this.save();
+
+  return Company.findByIdAndUpdate(
+    this.company,
+    { isVerified: false, verificationStatus: 'rejected' },
+    { new: true }
+  );
+};
+
+companyVerificationSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    // Không lộ đường dẫn file, tải qua API admin
+    if (ret.documents) {
+      ret.documents = ret.documents.map(({ originalName, size }, index) => ({ index, originalName, size }));
+    }
+    return ret;
+  }
+});
+
+const CompanyVerification = mongoose.model('CompanyVerification', companyVerificationSchema);
+export default CompanyVerification;
@@ -1,4 +1,61 @@
 import mongoose from 'mongoose';
+import { SALARY_TYPES, getSalaryFields, buildSalaryFilter } from '../utils/salary.js';
+import { GEO_SOURCES, geocodeLocation, isValidCoordinates } from '../utils/geocoding.js';
+import {
+  JOB_SEARCH_INDEX,
+  SEARCH_SOURCE_FIELDS,
+  TEXT_SCORE,
+  buildFoldedRegex,
+  buildTextSearch,
+  foldSearchField,
+  getSearchFields
+} from '../utils/jobSearch.js';
+import { DAYS_OF_WEEK, MAX_WEEKLY_SLOTS, TIME_PATTERN, areValidWeeklySlots, getShiftSlots } from '../utils/schedule.js';
+
+// 🔄 Vòng đời tin tuyển dụng: trạng thái hiện tại -> các trạng thái được chuyển sang
+export const JOB_STATUSES = ['draft', 'scheduled', 'published', 'paused', 'closed', 'expired'];
+export const JOB_STATUS_TRANSITIONS = {
+  draft: ['scheduled', 'published'],
+  scheduled: ['draft', 'scheduled', 'published', 'closed'], // scheduled -> scheduled: đổi giờ đăng (publishAt)
+  published: ['paused', 'closed', 'expired'],
+  paused: ['published', 'closed', 'expired'],
+  closed: ['published'],
+  expired: ['published']
+};
+
+// Nội dung tin do employer nhập (POST /api/jobs, nhập CSV, template, nhân bản tin)
+export const JOB_CONTENT_FIELDS = [
+  'title', 'description', 'location', 'address', 'jobType', 'category', 'salary',
+  'requirements', 'benefits', 'contactEmail', 'contactPhone', 'workHours', 'vacancies',
+  'experience', 'education', 'shifts', 'minShiftsPerWeek'
+];
+
+// Các trường được phép sắp xếp danh sách tin (phân trang cursor dựa trên trường này + _id)
+export const JOB_SORT_FIELDS = [
+  'createdAt', 'updatedAt', 'publishedAt', 'applicationDeadline', 'title',
+  'salaryHourlyMin', 'salaryHourlyMax', 'views', 'applicationCount'
+];
+
+// 🗓️ Ca làm cố định trong tuần
+const shiftSchema = new mongoose.Schema({
+  dayOfWeek: {
+    type: Number,
+    required: true,
+    enum: DAYS_OF_WEEK
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'End time must be in HH:mm format']
+  },
+  // Các ô 30 phút ca làm chiếm (utils/schedule.js), tự tính khi lưu
+  slots: [Number]
+}, { _id: false });
 
 const jobSchema = new mongoose.Schema({
   // === TRƯỜNG ĐÃ THÊM (QUAN TRỌNG CHO ID TÙY CHỈNH) ===
@@ -44,10 +101,20 @@ const jobSchema = new mongoose.Schema({
     type: Number,
     default: null
   },
+  // null khi không đọc được lương từ salary
   salaryType: {
     type: String,
-    enum: ['hourly', 'daily', 'monthly', 'project'],
-    default: 'hourly'
+    enum: [...SALARY_TYPES, null],
+    default: null
+  },
+  // Lương quy đổi theo giờ (VND) để lọc/so sánh, tự tính từ salary
+  salaryHourlyMin: {
+    type: Number,
+    default: null
+  },
+  salaryHourlyMax: {
+    type: Number,
+    default: null
   },
   location: {
     type: String,
@@ -58,6 +125,21 @@ const jobSchema = new mongoose.Schema({
     type: String,
     default: '',
     maxlength: [200, 'Address cannot be more than 200 characters']
+  },
+  // Tỉnh/thành chuẩn hóa từ location/address (dùng cho bộ lọc city và facet)
+  city: String,
+  // 📍 Tọa độ GeoJSON [lng, lat]: nhập tay, geocode từ location/address hoặc lấy theo công ty
+  geo: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+      validate: [isValidCoordinates, 'Coordinates must be [longitude, latitude]']
+    }
+  },
+  geoSource: {
+    type: String,
+    enum: GEO_SOURCES
   },
   jobType: {
     type: String,
@@ -100,6 +182,17 @@ const jobSchema = new mongoose.Schema({
     default: 'Linh hoạt',
     maxlength: [100, 'Work hours cannot be more than 100 characters']
   },
+  shifts: {
+    type: [shiftSchema],
+    validate: [areValidWeeklySlots, `Shifts must end after they start (at most ${MAX_WEEKLY_SLOTS} shifts)`]
+  },
+  minShiftsPerWeek: {
+    type: Number,
+    min: [1, 'Minimum shifts per week must be at least 1'],
+    max: [MAX_WEEKLY_SLOTS, `Minimum shifts per week cannot be more than ${MAX_WEEKLY_SLOTS}`]
+  },
+  // Hợp các ô của mọi ca, để tính số phút trùng với lịch rảnh
+  shiftSlots: [Number],
   vacancies: {
     type: Number,
     default: 1,
@@ -119,10 +212,28 @@ const jobSchema = new mongoose.Schema({
     type: String,
     maxlength: [50, 'Skill cannot be more than 50 characters']
   }],
+  // 🔎 Bản bỏ dấu để tìm kiếm ("ban hang" khớp "Bán hàng"), tự cập nhật khi lưu
+  searchFields: {
+    title: String,
+    description: String,
+    requirements: String,
+    location: String,
+    skills: [String]
+  },
+  // isActive = (status === 'published'), giữ lại cho các truy vấn cũ
   isActive: {
     type: Boolean,
     default: true
   },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'published'
+  },
+  publishAt: Date,
+  publishedAt: Date,
+  closedAt: Date,
+  expiredAt: Date,
   isFeatured: {
     type: Boolean,
     default: false
@@ -131,26 +242,54 @@ const jobSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // 🕓 Tăng mỗi lần nội dung tin được sửa (lịch sử trong JobRevision)
+  version: {
+    type: Number,
+    default: 1
+  },
   applicationCount: {
     type: Number,
     default: 0
+  },
+  applicationStatusCounts: {
+    pending: { type: Number, default: 0 },
+    reviewed: { type: Number, default: 0 },
+    shortlisted: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 },
+    accepted: { type: Number, default: 0 }
   }
 }, { 
   timestamps: true 
 });
 
-// 🔍 Index for search functionality
+// 🔍 Index for search functionality (trên bản bỏ dấu, không stemming vì MongoDB không hỗ trợ tiếng Việt)
 jobSchema.index({
-  title: 'text',
-  description: 'text',
-  requirements: 'text',
-  location: 'text'
+  'searchFields.title': 'text',
+  'searchFields.skills': 'text',
+  'searchFields.location': 'text',
+  'searchFields.description': 'text',
+  'searchFields.requirements': 'text'
+}, {
+  name: JOB_SEARCH_INDEX,
+  default_language: 'none',
+  weights: {
+    'searchFields.title': 10,
+    'searchFields.skills': 5,
+    'searchFields.location': 3,
+    'searchFields.description': 1,
+    'searchFields.requirements': 1
+  }
 });
 
 // 🔍 Index for performance
 jobSchema.index({ employer: 1, createdAt: -1 });
 jobSchema.index({ company: 1, isActive: 1 });
 jobSchema.index({ jobType: 1, category: 1, isActive: 1 });
+jobSchema.index({ status: 1, publishAt: 1 });
+jobSchema.index({ status: 1, applicationDeadline: 1 });
+jobSchema.index({ salaryHourlyMin: 1, salaryHourlyMax: 1 });
+jobSchema.index({ geo: '2dsphere' });
+jobSchema.index({ city: 1, status: 1 });
 
 // ⚙️ Virtual: Check if job is expired
 jobSchema.virtual('isExpired').get(function() {
@@ -160,37 +299,95 @@ jobSchema.virtual('isExpired').get(function() {
 
 // ⚙️ Virtual: Check if job is accepting applications
 jobSchema.virtual('isAcceptingApplications').get(function() {
-  if (!this.isActive) return false;
+  if (this.status !== 'published') return false;
   if (this.isExpired) return false;
   return true;
 });
 
+// 🔄 Method: Check if the job can move to the given status
+jobSchema.methods.canTransitionTo = function(status) {
+  return (JOB_STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// 🔄 Method: Move to a new status (chưa lưu), trả về false nếu không được phép
+jobSchema.methods.transitionTo = function(status, { publishAt } = {}) {
+  if (!this.canTransitionTo(status)) return false;
+
+  const now = new Date();
+  this.status = status;
+
+  if (status === 'scheduled') this.publishAt = publishAt;
+  if (status === 'published') {
+    this.publishAt = undefined;
+    this.closedAt = undefined;
+    this.expiredAt = undefined;
+    if (!this.publishedAt) this.publishedAt = now;
+  }
+  if (status === 'closed') this.closedAt = now;
+  if (status === 'expired') this.expiredAt = now;
+
+  return true;
+};
+
+// 🎯 Static: Filter for jobs visible in public listings (đã đăng và chưa hết hạn nộp)
+jobSchema.statics.listedFilter = function() {
+  return {
+    status: 'published',
+    applicationDeadline: { $not: { $lte: new Date() } }
+  };
+};
+
 // 📊 Method: Update application count
 jobSchema.methods.updateApplicationCount = async function() {
-  try {
-    const Application = mongoose.model('Application');
-    const count = await Application.countDocuments({ job: this._id });
-    this.applicationCount = count;
-    await this.save();
-    return count;
-  } catch (error) {
-    console.error('Error updating application count:', error);
-    throw error;
-  }
+  try {
+    const counts = await this.constructor.refreshApplicationCounts(this._id);
+    this.applicationCount = counts.applicationCount;
+    this.applicationStatusCounts = counts.applicationStatusCounts;
+    return counts.applicationCount;
+  } catch (error) {
+    console.error('Error updating application count:', error);
+    throw error;
+  }
 };
 
-// 📊 Method: Increment view count
+// 📊 Method: Increment view count ($inc để không mất lượt xem khi có nhiều request cùng lúc)
 jobSchema.methods.incrementViews = async function() {
-  this.views += 1;
-  await this.save();
-  return this.views;
+  await this.constructor.updateOne({ _id: this._id }, { $inc: { views: 1 } });
+  this.views += 1;
+  return this.views;
+};
+
+// 📊 Static: Count applications of a job (tổng + theo trạng thái) from the Application collection
+jobSchema.statics.countApplications = async function(jobId) {
+  const Application = mongoose.model('Application');
+  const stats = await Application.aggregate([
+    { $match: { job: new mongoose.Types.ObjectId(jobId) } },
+    { $group: { _id: '$status', count: { $sum: 1 } } }
+  ]);
+
+  const applicationStatusCounts = { pending: 0, reviewed: 0, shortlisted: 0, rejected: 0, accepted: 0 };
+  stats.forEach(stat => {
+    applicationStatusCounts[stat._id] = stat.count;
+  });
+
+  return {
+    applicationCount: stats.reduce((sum, stat) => sum + stat.count, 0),
+    applicationStatusCounts
+  };
+};
+
+// 📊 Static: Recount and store application counters of a job
+jobSchema.statics.refreshApplicationCounts = async function(jobId) {
+  const counts = await this.countApplications(jobId);
+  await this.updateOne({ _id: jobId }, { $set: counts });
+  return counts;
 };
 
 // 🎯 Static: Get active jobs by employer
 jobSchema.statics.getActiveJobsByEmployer = async function(employerId) {
   return this.find({ 
     employer: employerId, 
-    isActive: true 
+    ...this.listedFilter()
   }).populate('company', 'name logo industry');
 };
 
@@ -198,7 +395,7 @@ jobSchema.statics.getActiveJobsByEmployer = async function(employerId) {
 jobSchema.statics.getFeaturedJobs = async function(limit = 6) {
   return this.find({ 
     isFeatured: true, 
-    isActive: true 
+    ...this.listedFilter()
   })
     .populate('company', 'name logo industry')
     .populate('employer', 'name email')
@@ -214,22 +411,24 @@ jobSchema.statics.searchJobs = async function(filters = {}, page = 1, limit = 10
     jobType,
     category,
     salaryMin,
+    salaryMax,
+    salaryType,
     experience,
     education,
-    sortBy = 'createdAt',
+    sortBy,
     sortOrder = 'desc'
   } = filters;
 
-  const query = { isActive: true };
+  const query = this.listedFilter();
 
-  // Text search
+  // Text search (không dấu)
   if (search) {
-    query.$text = { $search: search };
+    query.$text = buildTextSearch(search);
   }
 
-  // Location filter
+  // Location filter (không dấu)
   if (location) {
-    query.location = new RegExp(location, 'i');
+    query['searchFields.location'] = buildFoldedRegex(location);
   }
 
   // Job type filter
@@ -242,12 +441,10 @@ jobSchema.statics.searchJobs = async function(filters = {}, page = 1, limit = 10
     query.category = category;
   }
 
-  // Salary filter
-  if (salaryMin) {
-    query.$or = [
-      { salaryMin: { $gte: parseInt(salaryMin) } },
-      { salary: { $regex: salaryMin, $options: 'i' } }
-    ];
+  // Salary filter (so sánh theo lương quy đổi)
+  const salaryConditions = buildSalaryFilter({ salaryMin, salaryMax, salaryType });
+  if (salaryConditions.length > 0) {
+    query.$and = salaryConditions;
   }
 
   // Experience filter
@@ -260,11 +457,13 @@ jobSchema.statics.searchJobs = async function(filters = {}, page = 1, limit = 10
     query.edducation = education;
   }
 
-  // Sort options
-  const sortOptions = {};
-  sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
+  // Sort options: tìm kiếm mà không chọn sortBy thì xếp theo độ liên quan
+  const rankByRelevance = search && !sortBy;
+  const sortOptions = rankByRelevance
+    ? { score: TEXT_SCORE, createdAt: -1 }
+    : { [sortBy || 'createdAt']: sortOrder === 'desc' ? -1 : 1 };
 
-  const jobs = await this.find(query)
+  const jobs = await this.find(query, rankByRelevance ? { score: TEXT_SCORE } : null)
     .populate('company', 'name logo industry')
     .populate('employer', 'name email')
     .sort(sortOptions)
@@ -283,33 +482,126 @@ jobSchema.statics.searchJobs = async function(filters = {}, page = 1, limit = 10
   };
 };
 
-// 🎯 Middleware: Update company job count when job is created/deleted
+// 🎯 Middleware: Recount company jobCount when a job is created/activated/deactivated/deleted
+const refreshCompanyJobCount = async (companyId) => {
+  try {
+    await mongoose.model('Company').refreshJobCount(companyId);
+  } catch (error) {
+    console.error('Error updating company job count:', error);
+  }
+};
+
+// 🗓️ Ô thời gian của từng ca + hợp của tất cả các ca
+const getShiftFields = (shifts = []) => {
+  const withSlots = shifts.map(shift => ({
+    dayOfWeek: shift.dayOfWeek,
+    startTime: shift.startTime,
+    endTime: shift.endTime,
+    slots: getShiftSlots(shift)
+  }));
+  return {
+    shifts: withSlots,
+    shiftSlots: [...new Set(withSlots.flatMap(shift => shift.slots))].sort((a, b) => a - b)
+  };
+};
+
+// isNew đã là false trong post('save') nên ghi lại ở pre('save')
+jobSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('salary')) this.set(getSalaryFields(this.salary));
+  if (this.isNew || SEARCH_SOURCE_FIELDS.some(field => this.isModified(field))) {
+    this.searchFields = getSearchFields(this);
+  }
+  if (this.isNew || this.isModified('shifts')) this.set(getShiftFields(this.shifts));
+  this.isActive = this.status === 'published';
+  this.$locals.jobCountChanged = this.isNew || this.isModified('isActive');
+  next();
+});
+
+// 📍 Tọa độ khi không nhập tay: geocode từ địa chỉ, không được thì dùng tọa độ của công ty
+// Tỉnh/thành chuẩn hóa (city) cũng lấy theo cách này; trường nào không xác định được thì undefined
+export const resolveJobLocation = async ({ location, address, company }) => {
+  const result = geocodeLocation(address, location);
+  if (result) return { geo: result.point, geoSource: 'geocoded', city: result.province };
+
+  const companyDoc = company && await mongoose.model('Company').findById(company).select('geo city').lean();
+  const hasCompanyGeo = Boolean(companyDoc?.geo?.coordinates);
+  return {
+    geo: hasCompanyGeo ? companyDoc.geo : undefined,
+    geoSource: hasCompanyGeo ? 'company' : undefined,
+    city: geocodeLocation(companyDoc?.city)?.province
+  };
+};
+
+jobSchema.pre('save', async function() {
+  const locationChanged = this.isNew || this.isModified('location') || this.isModified('address');
+  if (!locationChanged) return;
+
+  const resolved = await resolveJobLocation(this);
+  this.city = resolved.city;
+  if (!this.isModified('geo')) {
+    this.geo = resolved.geo;
+    this.geoSource = resolved.geoSource;
+  }
+});
+
+// Giữ isActive khớp với status, tính lại lương chuẩn hóa và searchFields khi cập nhật bằng findOneAndUpdate
+jobSchema.pre('findOneAndUpdate', function(next) {
+  const update = this.getUpdate() || {};
+  const status = update.$set?.status ?? update.status;
+  if (status !== undefined) this.set('isActive', status === 'published');
+
+  const salary = update.$set?.salary ?? update.salary;
+  if (salary !== undefined) this.set(getSalaryFields(salary));
+
+  SEARCH_SOURCE_FIELDS.forEach(field => {
+    const value = update.$set?.[field] ?? update[field];
+    if (value !== undefined) this.set(`searchFields.${field}`, foldSearchField(field, value));
+  });
+
+  const shifts = update.$set?.shifts ?? update.shifts;
+  if (Array.isArray(shifts)) this.set(getShiftFields(shifts));
+  next();
+});
+
+// Đổi location/address thì tính lại city, và geocode lại nếu không gửi tọa độ mới
+jobSchema.pre('findOneAndUpdate', async function() {
+  const update = this.getUpdate() || {};
+  const pick = (field) => update.$set?.[field] ?? update[field];
+  const location = pick('location');
+  const address = pick('address');
+  if (location === undefined && address === undefined) return;
+
+  const current = await this.model.findOne(this.getQuery()).select('location address company').lean();
+  if (!current) return;
+
+  const { geo, geoSource, city } = await resolveJobLocation({
+    location: location ?? current.location,
+    address: address ?? current.address,
+    company: current.company
+  });
+  const values = pick('geo') === undefined ? { geo, geoSource, city } : { city };
+
+  const $unset = {};
+  Object.entries(values).forEach(([field, value]) => {
+    if (value === undefined) $unset[field] = 1;
+    else this.set(field, value);
+  });
+  if (Object.keys($unset).length > 0) {
+    const pending = this.getUpdate();
+    this.setUpdate({ ...pending, $unset: { ...pending.$unset, ...$unset } });
+  }
+});
+
 jobSchema.post('save', async function(doc) {
-  try {
-    const Company = mongoose.model('Company');
-    if (doc.isNew) {
-      // Job mới được tạo - tăng count
-      await Company.findByIdAndUpdate(doc.company, {
-        $inc: { jobCount: 1 }
-      });
-    }
-  } catch (error) {
-    console.error('Error updating company job count after save:', error);
-  }
+  if (doc.$locals.jobCountChanged) await refreshCompanyJobCount(doc.company);
+});
+
+jobSchema.post('findOneAndUpdate', async function(doc) {
+  if (doc) await refreshCompanyJobCount(doc.company);
 });
 
 jobSchema.post('findOneAndDelete', async function(doc) {
-  try {
-    if (doc) {
-      const Company = mongoose.model('Company');
-      // Job bị xóa - giảm count
-      await Company.findByIdAndUpdate(doc.company, {
-        $inc: { jobCount: -1 }
-      });
-    }
-  } catch (error) {
-    console.error('Error updating company job count after delete:', error);
-  }
+  if (doc) await refreshCompanyJobCount(doc.company);
 });
 
 // 🎯 Transform: Customize JSON output
@@ -319,6 +611,9 @@ jobSchema.set('toJSON', {
     ret.id = ret._id;
     delete ret._id;
     delete ret.__v;
+    delete ret.searchFields;
+    delete ret.shiftSlots;
+    (ret.shifts || []).forEach(shift => delete shift.slots);
     return ret;
   }
 });
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+const jobChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// 🕓 Mỗi lần sửa tin tạo 1 revision: version mới của tin, ai sửa, giá trị trước và sau của từng trường
+const jobRevisionSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changes: [jobChangeSchema]
+}, { timestamps: { createdAt: 'changedAt', updatedAt: false } });
+
+// 🧩 Mỗi version của 1 tin chỉ có 1 revision
+jobRevisionSchema.index({ job: 1, version: -1 }, { unique: true });
+
+/**
+ * Rebuild a job's content at a given version from its current values.
+ * current: giá trị hiện tại (toJSON của tin), revisions: các revision có version > target.
+ */
+jobRevisionSchema.statics.rebuildSnapshot = function (current, revisions, fields) {
+  const snapshot = Object.fromEntries(fields.map(field => [field, current[field]]));
+
+  // Hoàn tác từ revision mới nhất về target
+  [...revisions]
+    .sort((a, b) => b.version - a.version)
+    .forEach(revision => revision.changes.forEach(({ field, from }) => {
+      snapshot[field] = from;
+    }));
+
+  return snapshot;
+};
+
+const JobRevision = mongoose.model('JobRevision', jobRevisionSchema);
+export default JobRevision;
@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import { JOB_CONTENT_FIELDS } from './Job.js';
+
+// Các trường lưu trong template (không gồm trạng thái, ngày đăng, hạn nộp)
+export const JOB_TEMPLATE_FIELDS = [...JOB_CONTENT_FIELDS, 'lat', 'lng'];
+
+const jobTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true,
+    maxlength: [100, 'Template name cannot be more than 100 characters']
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Nội dung tin như body của POST /api/jobs (đã qua createJobValidation)
+  fields: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: Date
+}, { timestamps: true, minimize: false });
+
+// 🧩 Tên template không trùng trong 1 công ty
+jobTemplateSchema.index({ company: 1, name: 1 }, { unique: true });
+
+const JobTemplate = mongoose.model('JobTemplate', jobTemplateSchema);
+export default JobTemplate;
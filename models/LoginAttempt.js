@@ -0,0 +1,122 @@
+import mongoose from 'mongoose';
+
+// Số lần sai tối đa trước khi khóa, và thời gian khóa tăng dần theo mỗi lần bị khóa
+const MAX_FAILURES = {
+  account: 5,
+  ip: 20
+};
+const LOCKOUT_MINUTES = [1, 5, 15, 60, 240];
+// Không có lần sai nào trong 24h thì reset bộ đếm
+const RESET_AFTER_MS = 24 * 60 * 60 * 1000;
+
+const loginAttemptSchema = new mongoose.Schema({
+  // "account:<email>" hoặc "ip:<address>"
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lockLevel: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+// 🧹 MongoDB tự xóa bản ghi cũ
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const buildKey = (scope, value) => `${scope}:${String(value).toLowerCase()}`;
+
+// 🎯 Static: Return the active lock (if any) for the given scopes
+// identifiers: { account: email, ip: req.ip }
+loginAttemptSchema.statics.getActiveLock = async function (identifiers) {
+  const keys = Object.entries(identifiers).map(([scope, value]) => buildKey(scope, value));
+  const locked = await this.find({ key: { $in: keys }, lockUntil: { $gt: new Date() } });
+
+  if (locked.length === 0) return null;
+
+  // Ưu tiên báo khóa theo IP, sau đó lấy khóa lâu nhất
+  const lock = locked.find(attempt => attempt.scope === 'ip') ||
+    locked.reduce((longest, attempt) => (attempt.lockUntil > longest.lockUntil ? attempt : longest));
+
+  return {
+    scope: lock.scope,
+    lockUntil: lock.lockUntil,
+    retryAfter: Math.ceil((lock.lockUntil - Date.now()) / 1000)
+  };
+};
+
+// 🎯 Static: Record a failed attempt, returns the locks that were just triggered
+// Cập nhật nguyên tử để các lần sai đồng thời không bị mất lượt đếm (bản ghi hết hạn do TTL index xóa)
+loginAttemptSchema.statics.registerFailure = async function (identifiers) {
+  const triggered = [];
+
+  for (const [scope, value] of Object.entries(identifiers)) {
+    const key = buildKey(scope, value);
+    const now = new Date();
+
+    const attempt = await this.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: { expiresAt: new Date(now.getTime() + RESET_AFTER_MS) },
+        $setOnInsert: { scope }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (attempt.failures < MAX_FAILURES[scope]) continue;
+
+    // Chỉ 1 request (cùng lockLevel) được kích hoạt khóa
+    const minutes = LOCKOUT_MINUTES[Math.min(attempt.lockLevel, LOCKOUT_MINUTES.length - 1)];
+    const lockUntil = new Date(now.getTime() + minutes * 60 * 1000);
+    const locked = await this.findOneAndUpdate(
+      { key, lockLevel: attempt.lockLevel, failures: { $gte: MAX_FAILURES[scope] } },
+      {
+        $set: {
+          failures: 0,
+          lockUntil,
+          // Giữ bản ghi ít nhất đến khi hết khóa
+          expiresAt: new Date(Math.max(attempt.expiresAt.getTime(), lockUntil.getTime()))
+        },
+        $inc: { lockLevel: 1 }
+      }
+    );
+
+    if (locked) {
+      triggered.push({
+        scope,
+        lockUntil,
+        retryAfter: minutes * 60
+      });
+    }
+  }
+
+  return triggered;
+};
+
+// 🎯 Static: Clear failures after a successful login
+loginAttemptSchema.statics.clearFailures = async function (identifiers) {
+  const keys = Object.entries(identifiers).map(([scope, value]) => buildKey(scope, value));
+  await this.deleteMany({ key: { $in: keys } });
+};
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+export default LoginAttempt;
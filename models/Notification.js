@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_TYPES = ['new_job'];
+
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  message: String,
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job'
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  },
+  readAt: Date,
+  // Chờ gửi trong email tổng hợp (user chọn email_digest)
+  digestPending: {
+    type: Boolean,
+    default: false
+  },
+  emailedAt: Date,
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 90 * 24 * 60 * 60 * 1000) // 90 days
+  }
+}, { timestamps: true });
+
+// 🔍 Index
+notificationSchema.index({ user: 1, createdAt: -1 });
+notificationSchema.index({ user: 1, readAt: 1 });
+notificationSchema.index({ digestPending: 1, user: 1 });
+
+// 🧹 MongoDB tự xóa thông báo cũ
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Notification = mongoose.model('Notification', notificationSchema);
+export default Notification;
@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Lưu state/nonce/code_verifier giữa bước chuyển hướng và callback của OIDC
+const oidcStateSchema = new mongoose.Schema({
+  state: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  provider: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + 10 * 60 * 1000) // 10 minutes
+  }
+}, { timestamps: true });
+
+// 🧹 MongoDB tự xóa state hết hạn
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// 🎯 Static: Get and delete a state (chỉ dùng được một lần)
+oidcStateSchema.statics.consume = async function (state, provider) {
+  if (!state) return null;
+  return this.findOneAndDelete({ state: String(state), provider, expiresAt: { $gt: new Date() } });
+};
+
+const OidcState = mongoose.model('OidcState', oidcStateSchema);
+export default OidcState;
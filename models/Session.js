@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  userAgent: {
+    type: String,
+    maxlength: [500, 'User agent cannot be more than 500 characters']
+  },
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: String
+}, { timestamps: true });
+
+// 🔍 Index
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// 🧹 MongoDB tự xóa session hết hạn
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// ⚙️ Virtual: Check if session can still be used
+sessionSchema.virtual('isValid').get(function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// 🔁 Method: Generate a new refresh token (dạng "<sessionId>.<secret>", chỉ lưu hash)
+sessionSchema.methods.rotateRefreshToken = function () {
+  const secret = crypto.randomBytes(48).toString('hex');
+  this.refreshTokenHash = hashToken(secret);
+  this.lastUsedAt = new Date();
+  return `${this._id}.${secret}`;
+};
+
+// 🔁 Method: Exchange the current refresh token for a new one (nguyên tử)
+// Chỉ đổi được nếu secret đúng là token hiện tại; trả về null nếu token đã bị đổi/dùng lại hoặc session đã bị thu hồi
+sessionSchema.methods.exchangeRefreshToken = async function (secret, { ip } = {}) {
+  const newSecret = crypto.randomBytes(48).toString('hex');
+  const rotated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, refreshTokenHash: hashToken(secret), revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { refreshTokenHash: hashToken(newSecret), lastUsedAt: new Date(), ip } }
+  );
+  return rotated ? `${this._id}.${newSecret}` : null;
+};
+
+// 🚫 Method: Revoke session
+sessionSchema.methods.revoke = async function (reason = 'logout') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  await this.save();
+};
+
+// 🎯 Static: Revoke all active sessions of a user (có thể giữ lại 1 session)
+sessionSchema.statics.revokeAllForUser = async function (userId, reason = 'logout_all', exceptSessionId = null) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+// 🎯 Static: Parse "<sessionId>.<secret>" refresh token
+sessionSchema.statics.parseRefreshToken = function (refreshToken = '') {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+sessionSchema.set('toJSON', {
+  virtuals: true,
+  transform: function (doc, ret) {
+    ret.id = ret._id;
+    delete ret._id;
+    delete ret.__v;
+    delete ret.refreshTokenHash;
+    return ret;
+  }
+});
+
+const Session = mongoose.model('Session', sessionSchema);
+export default Session;
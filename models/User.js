@@ -1,5 +1,14 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { DAYS_OF_WEEK, MAX_WEEKLY_SLOTS, TIME_PATTERN, areValidWeeklySlots, getAvailabilitySlots } from '../utils/schedule.js';
+
+// 🗓️ Một khoảng thời gian rảnh trong tuần
+const availabilitySchema = new mongoose.Schema({
+  dayOfWeek: { type: Number, required: true, enum: DAYS_OF_WEEK },
+  startTime: { type: String, required: true, match: [TIME_PATTERN, 'Start time must be in HH:mm format'] },
+  endTime: { type: String, required: true, match: [TIME_PATTERN, 'End time must be in HH:mm format'] }
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -27,7 +36,7 @@ const userSchema = new mongoose.Schema({
   },
   userType: {
     type: String,
-    enum: ['student', 'employer'],
+    enum: ['student', 'employer', 'admin'],
     required: true
   },
   avatar: { type: String, default: null },
@@ -39,20 +48,61 @@ const userSchema = new mongoose.Schema({
   year: { type: String, enum: ['1', '2', '3', '4', 'Graduate'] },
   skills: [{ type: String, maxlength: [50, 'Skill cannot be more than 50 characters'] }],
   resume: { type: String },
+  savedJobs: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Job' }],
+  // Lịch rảnh hàng tuần (sinh viên) để lọc việc hợp với thời khóa biểu
+  availability: {
+    type: [availabilitySchema],
+    validate: [areValidWeeklySlots, `Availability slots must end after they start (at most ${MAX_WEEKLY_SLOTS} slots)`]
+  },
+  // Các ô 30 phút rảnh trọn vẹn (utils/schedule.js), tự tính khi lưu
+  availabilitySlots: { type: [Number], select: false },
+  notificationPreferences: {
+    // Tin mới từ công ty đang theo dõi: trong app, email tổng hợp hoặc tắt
+    companyJobs: { type: String, enum: ['in_app', 'email_digest', 'none'], default: 'in_app' }
+  },
   company: { type: mongoose.Schema.Types.ObjectId, ref: 'Company' },
   position: { type: String, maxlength: [100, 'Position cannot be more than 100 characters'] },
   isVerified: { type: Boolean, default: false },
   isActive: { type: Boolean, default: true },
-  lastLogin: { type: Date }
+  lastLogin: { type: Date },
+  deletedAt: { type: Date },
+  passwordChangedAt: { type: Date },
+  resetPasswordToken: { type: String, select: false },
+  resetPasswordExpire: { type: Date, select: false },
+  twoFactorEnabled: { type: Boolean, default: false },
+  twoFactorSecret: { type: String, select: false },
+  twoFactorPendingSecret: { type: String, select: false },
+  twoFactorRecoveryCodes: { type: [String], select: false },
+  twoFactorLastUsedStep: { type: Number, select: false },
+  // Tài khoản đăng nhập qua OpenID Connect (Google, trường đại học...)
+  oidcAccounts: [{
+    _id: false,
+    provider: { type: String, required: true },
+    subject: { type: String, required: true },
+    email: String,
+    linkedAt: { type: Date, default: Date.now }
+  }]
 }, { timestamps: true });
 
+// 🔍 Index
+userSchema.index({ 'oidcAccounts.provider': 1, 'oidcAccounts.subject': 1 });
+
 // 🔐 Hash password before saving
+userSchema.pre('save', function (next) {
+  if (this.isModified('availability')) this.availabilitySlots = getAvailabilitySlots(this.availability);
+  next();
+});
+
 userSchema.pre('save', async function (next) {
   if (!this.isModified('password')) return next();
 
   try {
     const salt = await bcrypt.genSalt(12);
     this.password = await bcrypt.hash(this.password, salt);
+    // Token phát hành trước thời điểm này bị vô hiệu (trừ 1s để token mới vẫn hợp lệ)
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -64,10 +114,32 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// 🔄 Check if password was changed after the token was issued
+userSchema.methods.changedPasswordAfter = function (tokenIssuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// 🔁 Create single-use password reset token (chỉ lưu bản hash)
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.resetPasswordExpire = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
+
+  return resetToken;
+};
+
 // 🧹 Remove password from JSON output
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.password;
+  delete user.resetPasswordToken;
+  delete user.resetPasswordExpire;
+  delete user.twoFactorSecret;
+  delete user.twoFactorPendingSecret;
+  delete user.twoFactorRecoveryCodes;
+  delete user.twoFactorLastUsedStep;
   return user;
 };
 
@@ -0,0 +1,114 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getUsers,
+  updateUserStatus,
+  updateJobFeatured,
+  updateJobStatus,
+  updateCompanyVerification,
+  getVerificationRequests,
+  reviewVerificationRequest,
+  downloadVerificationDocument,
+  getReportedReviews,
+  updateReviewVisibility,
+  runCounterReconciliation,
+  getPlatformStatistics
+} from '../controllers/adminController.js';
+import { adminAuth } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Validation rules
+const idValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid ID')
+];
+
+const userStatusValidation = [
+  ...idValidation,
+  body('isActive')
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
+const jobFeaturedValidation = [
+  ...idValidation,
+  body('isFeatured')
+    .isBoolean()
+    .withMessage('isFeatured must be a boolean')
+    .toBoolean()
+];
+
+const jobStatusValidation = [
+  ...idValidation,
+  body('isActive')
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+    .toBoolean()
+];
+
+const companyVerificationValidation = [
+  ...idValidation,
+  body('isVerified')
+    .isBoolean()
+    .withMessage('isVerified must be a boolean')
+    .toBoolean()
+];
+
+const verificationQueueValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected', 'all'])
+    .withMessage('Invalid verification status')
+];
+
+const reviewVerificationValidation = [
+  ...idValidation,
+  body('decision')
+    .isIn(['approve', 'reject'])
+    .withMessage('Decision must be approve or reject'),
+  body('reason')
+    .if(body('decision').equals('reject'))
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required when rejecting')
+    .isLength({ max: 1000 })
+    .withMessage('Reason cannot exceed 1000 characters')
+];
+
+const verificationDocumentValidation = [
+  ...idValidation,
+  param('index')
+    .isInt({ min: 0 })
+    .withMessage('Invalid document index')
+    .toInt()
+];
+
+const reviewVisibilityValidation = [
+  ...idValidation,
+  body('isHidden')
+    .isBoolean()
+    .withMessage('isHidden must be a boolean')
+    .toBoolean()
+];
+
+// Admin routes
+router.use(adminAuth);
+
+router.get('/users', getUsers);
+router.put('/users/:id/status', userStatusValidation, handleValidationErrors, updateUserStatus);
+router.put('/jobs/:id/featured', jobFeaturedValidation, handleValidationErrors, updateJobFeatured);
+router.put('/jobs/:id/status', jobStatusValidation, handleValidationErrors, updateJobStatus);
+router.put('/companies/:id/verification', companyVerificationValidation, handleValidationErrors, updateCompanyVerification);
+router.get('/verifications', verificationQueueValidation, handleValidationErrors, getVerificationRequests);
+router.put('/verifications/:id', reviewVerificationValidation, handleValidationErrors, reviewVerificationRequest);
+router.get('/verifications/:id/documents/:index', verificationDocumentValidation, handleValidationErrors, downloadVerificationDocument);
+router.get('/reviews', getReportedReviews);
+router.put('/reviews/:id/visibility', reviewVisibilityValidation, handleValidationErrors, updateReviewVisibility);
+router.post('/maintenance/reconcile-counters', runCounterReconciliation);
+router.get('/statistics', getPlatformStatistics);
+
+export default router;
@@ -8,8 +8,9 @@ import {
   getApplicationStatistics,
   withdrawApplication
 } from '../controllers/applicationController.js';
-import { auth, employerAuth, studentAuth } from '../middleware/auth.js';
-import { handleValidationErrors } from '../middleware/validation.js';
+import { auth, employerAuth, studentAuth, allowApiKey } from '../middleware/auth.js';
+import { handleValidationErrors, paginationValidation } from '../middleware/validation.js';
+import { APPLICATION_SORT_FIELDS } from '../models/Application.js';
 
 const router = express.Router();
 
@@ -38,12 +39,12 @@ const updateStatusValidation = [
 
 // Student routes
 router.post('/', studentAuth, applyForJobValidation, handleValidationErrors, applyForJob);
-router.get('/student/my-applications', studentAuth, getStudentApplications);
+router.get('/student/my-applications', studentAuth, paginationValidation(APPLICATION_SORT_FIELDS), handleValidationErrors, getStudentApplications);
 router.delete('/:id', studentAuth, withdrawApplication);
 
-// Employer routes
-router.get('/employer/job-applications', employerAuth, getEmployerApplications);
-router.get('/employer/statistics', employerAuth, getApplicationStatistics);
-router.put('/:id/status', employerAuth, updateStatusValidation, handleValidationErrors, updateApplicationStatus);
+// Employer routes (cũng nhận X-API-Key với scope tương ứng)
+router.get('/employer/job-applications', allowApiKey('applications:read'), employerAuth, paginationValidation(APPLICATION_SORT_FIELDS), handleValidationErrors, getEmployerApplications);
+router.get('/employer/statistics', allowApiKey('applications:read'), employerAuth, getApplicationStatistics);
+router.put('/:id/status', allowApiKey('applications:write'), employerAuth, updateStatusValidation, handleValidationErrors, updateApplicationStatus);
 
 export default router;
@@ -1,14 +1,31 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param } from 'express-validator';
 import {
   register,
   login,
   getMe,
   updateProfile,
-  changePassword
+  changePassword,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  verifyTwoFactorLogin,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
 } from '../controllers/authController.js';
-import { auth } from '../middleware/auth.js';
+import { createApiKey, getApiKeys, revokeApiKey } from '../controllers/apiKeyController.js';
+import { getProviders, startOidcLogin, oidcCallback } from '../controllers/oidcController.js';
+import { auth, employerAuth } from '../middleware/auth.js';
 import { handleValidationErrors } from '../middleware/validation.js';
+import { API_KEY_SCOPES } from '../models/ApiKey.js';
 
 const router = express.Router();
 
@@ -66,11 +83,109 @@ const changePasswordValidation = [
     .withMessage('New password must be at least 6 characters long')
 ];
 
+const verifyEmailValidation = [
+  body('token')
+    .notEmpty()
+    .withMessage('Verification token is required')
+];
+
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email')
+];
+
+const resetPasswordValidation = [
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+const refreshTokenValidation = [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+];
+
+const twoFactorCodeValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('Authentication code must be 6 digits')
+];
+
+const twoFactorVerifyValidation = [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('Authentication code or recovery code is required')
+];
+
+const twoFactorDisableValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('Authentication code or recovery code is required')
+];
+
+const createApiKeyValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Key name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scope must be one of: ${API_KEY_SCOPES.join(', ')}`),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('expiresAt must be a valid date')
+];
+
+const apiKeyIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid API key ID')
+];
+
 // Routes
 router.post('/register', registerValidation, handleValidationErrors, register);
 router.post('/login', loginValidation, handleValidationErrors, login);
 router.get('/me', auth, getMe);
 router.put('/profile', auth, updateProfileValidation, handleValidationErrors, updateProfile);
 router.put('/password', auth, changePasswordValidation, handleValidationErrors, changePassword);
+router.post('/verify-email', verifyEmailValidation, handleValidationErrors, verifyEmail);
+router.post('/resend-verification', auth, resendVerification);
+router.post('/forgot-password', forgotPasswordValidation, handleValidationErrors, forgotPassword);
+router.post('/reset-password/:token', resetPasswordValidation, handleValidationErrors, resetPassword);
+router.post('/refresh', refreshTokenValidation, handleValidationErrors, refreshToken);
+router.post('/logout', auth, logout);
+router.get('/sessions', auth, getSessions);
+router.delete('/sessions', auth, revokeOtherSessions);
+router.delete('/sessions/:id', auth, revokeSession);
+
+// Two-factor authentication (employer)
+router.post('/2fa/verify', twoFactorVerifyValidation, handleValidationErrors, verifyTwoFactorLogin);
+router.post('/2fa/setup', employerAuth, setupTwoFactor);
+router.post('/2fa/enable', employerAuth, twoFactorCodeValidation, handleValidationErrors, enableTwoFactor);
+router.post('/2fa/disable', employerAuth, twoFactorDisableValidation, handleValidationErrors, disableTwoFactor);
+router.post('/2fa/recovery-codes', employerAuth, twoFactorCodeValidation, handleValidationErrors, regenerateRecoveryCodes);
+
+// OpenID Connect sign-in (Google, university SSO...)
+router.get('/oidc', getProviders);
+router.get('/oidc/:provider', startOidcLogin);
+router.get('/oidc/:provider/callback', oidcCallback);
+
+// API keys for ATS integrations (employer)
+router.get('/api-keys', employerAuth, getApiKeys);
+router.post('/api-keys', employerAuth, createApiKeyValidation, handleValidationErrors, createApiKey);
+router.delete('/api-keys/:id', employerAuth, apiKeyIdValidation, handleValidationErrors, revokeApiKey);
 
 export default router;
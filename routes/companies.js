@@ -0,0 +1,218 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import {
+  getCompanies,
+  getCompany,
+  updateCompany,
+  uploadCompanyLogo,
+  uploadCompanyCover,
+  submitVerification,
+  followCompany,
+  unfollowCompany,
+  getVerification,
+  getMembers,
+  updateMemberRole,
+  removeMember,
+  inviteMember,
+  getInvitations,
+  revokeInvitation,
+  acceptInvitation
+} from '../controllers/companyController.js';
+import {
+  getReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+  replyToReview,
+  reportReview
+} from '../controllers/reviewController.js';
+import { employerAuth, studentAuth, optionalAuth } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { COMPANY_ROLES } from '../models/Company.js';
+import { REVIEW_RATING_DIMENSIONS, REVIEW_REPORT_REASONS } from '../models/CompanyReview.js';
+import { uploadCompany, uploadVerificationDocuments } from '../utils/upload.js';
+
+const router = express.Router();
+
+// Validation rules
+const companyIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid company ID')
+];
+
+const updateCompanyValidation = [
+  ...companyIdValidation,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Company name must be between 2 and 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage('Description cannot exceed 2000 characters'),
+  body('website')
+    .optional({ checkFalsy: true })
+    .isURL()
+    .withMessage('Please enter a valid website URL'),
+  body('size')
+    .optional()
+    .isIn(['1-10', '11-50', '51-200', '201-500', '501-1000', '1000+'])
+    .withMessage('Invalid company size'),
+  body('founded')
+    .optional()
+    .isInt({ min: 1900, max: new Date().getFullYear() })
+    .withMessage('Invalid founding year'),
+  body('phone')
+    .optional({ checkFalsy: true })
+    .matches(/^(03|05|07|08|09|01[2|6|8|9])+([0-9]{8})\b$/)
+    .withMessage('Please enter a valid Vietnamese phone number'),
+  body('email')
+    .optional({ checkFalsy: true })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email'),
+  body('socialMedia')
+    .optional()
+    .isObject()
+    .withMessage('Social media must be an object'),
+  body('lat')
+    .optional({ checkFalsy: true })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('lat must be between -90 and 90')
+    .custom((value, { req }) => Boolean(req.body.lng))
+    .withMessage('lat and lng must be provided together'),
+  body('lng')
+    .optional({ checkFalsy: true })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('lng must be between -180 and 180')
+    .custom((value, { req }) => Boolean(req.body.lat))
+    .withMessage('lat and lng must be provided together')
+];
+
+const reviewIdValidation = [
+  ...companyIdValidation,
+  param('reviewId')
+    .isMongoId()
+    .withMessage('Invalid review ID')
+];
+
+const reviewContentValidation = (isUpdate) => [
+  ...REVIEW_RATING_DIMENSIONS.map(key => {
+    const rule = body(`ratings.${key}`);
+    return (isUpdate ? rule.optional() : rule)
+      .isInt({ min: 1, max: 5 })
+      .withMessage(`Rating "${key}" must be an integer from 1 to 5`)
+      .toInt();
+  }),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Title cannot exceed 100 characters'),
+  (isUpdate ? body('content').optional() : body('content'))
+    .trim()
+    .isLength({ min: 20, max: 3000 })
+    .withMessage('Review must be between 20 and 3000 characters'),
+  body('isAnonymous')
+    .optional()
+    .isBoolean()
+    .withMessage('isAnonymous must be a boolean')
+    .toBoolean()
+];
+
+const createReviewValidation = [...companyIdValidation, ...reviewContentValidation(false)];
+const updateReviewValidation = [...reviewIdValidation, ...reviewContentValidation(true)];
+
+const replyValidation = [
+  ...reviewIdValidation,
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage('Reply must be between 1 and 2000 characters')
+];
+
+const reportValidation = [
+  ...reviewIdValidation,
+  body('reason')
+    .isIn(REVIEW_REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${REVIEW_REPORT_REASONS.join(', ')}`),
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Details cannot exceed 500 characters')
+];
+
+const memberRoleValidation = [
+  ...companyIdValidation,
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID'),
+  body('role')
+    .isIn(COMPANY_ROLES)
+    .withMessage(`Role must be one of: ${COMPANY_ROLES.join(', ')}`)
+];
+
+const removeMemberValidation = [
+  ...companyIdValidation,
+  param('userId')
+    .isMongoId()
+    .withMessage('Invalid user ID')
+];
+
+const inviteMemberValidation = [
+  ...companyIdValidation,
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email'),
+  body('role')
+    .optional()
+    .isIn(COMPANY_ROLES)
+    .withMessage(`Role must be one of: ${COMPANY_ROLES.join(', ')}`)
+];
+
+const revokeInvitationValidation = [
+  ...companyIdValidation,
+  param('invitationId')
+    .isMongoId()
+    .withMessage('Invalid invitation ID')
+];
+
+// Public routes
+router.get('/', getCompanies);
+router.get('/:id', optionalAuth, companyIdValidation, handleValidationErrors, getCompany);
+
+// Company profile routes (Owner)
+router.put('/:id', employerAuth, updateCompanyValidation, handleValidationErrors, updateCompany);
+router.post('/:id/logo', employerAuth, companyIdValidation, handleValidationErrors, uploadCompany.single('logo'), uploadCompanyLogo);
+router.post('/:id/cover', employerAuth, companyIdValidation, handleValidationErrors, uploadCompany.single('cover'), uploadCompanyCover);
+
+// Follow routes (Student)
+router.post('/:id/follow', studentAuth, companyIdValidation, handleValidationErrors, followCompany);
+router.delete('/:id/follow', studentAuth, companyIdValidation, handleValidationErrors, unfollowCompany);
+
+// Verification routes
+router.get('/:id/verification', employerAuth, companyIdValidation, handleValidationErrors, getVerification);
+router.post('/:id/verification', employerAuth, companyIdValidation, handleValidationErrors, uploadVerificationDocuments.array('documents', 5), submitVerification);
+
+// Review routes
+router.get('/:id/reviews', companyIdValidation, handleValidationErrors, getReviews);
+router.post('/:id/reviews', studentAuth, createReviewValidation, handleValidationErrors, createReview);
+router.put('/:id/reviews/:reviewId', studentAuth, updateReviewValidation, handleValidationErrors, updateReview);
+router.delete('/:id/reviews/:reviewId', studentAuth, reviewIdValidation, handleValidationErrors, deleteReview);
+router.put('/:id/reviews/:reviewId/reply', employerAuth, replyValidation, handleValidationErrors, replyToReview);
+router.post('/:id/reviews/:reviewId/report', studentAuth, reportValidation, handleValidationErrors, reportReview);
+
+// Team routes (Employer)
+router.post('/invitations/:token/accept', employerAuth, acceptInvitation);
+router.get('/:id/members', employerAuth, companyIdValidation, handleValidationErrors, getMembers);
+router.put('/:id/members/:userId', employerAuth, memberRoleValidation, handleValidationErrors, updateMemberRole);
+router.delete('/:id/members/:userId', employerAuth, removeMemberValidation, handleValidationErrors, removeMember);
+router.get('/:id/invitations', employerAuth, companyIdValidation, handleValidationErrors, getInvitations);
+router.post('/:id/invitations', employerAuth, inviteMemberValidation, handleValidationErrors, inviteMember);
+router.delete('/:id/invitations/:invitationId', employerAuth, revokeInvitationValidation, handleValidationErrors, revokeInvitation);
+
+export default router;
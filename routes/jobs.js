@@ -1,50 +1,179 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import {
   getJobs,
   getJob,
+  getJobSuggestions,
   createJob,
   updateJob,
   deleteJob,
   getEmployerJobs,
-  getFeaturedJobs
+  getFeaturedJobs,
+  publishJob,
+  pauseJob,
+  resumeJob,
+  closeJob,
+  republishJob,
+  importJobs,
+  exportEmployerJobs,
+  getJobTemplates,
+  getJobTemplate,
+  createJobTemplate,
+  updateJobTemplate,
+  deleteJobTemplate,
+  createJobFromTemplate,
+  duplicateJob,
+  getJobHistory
 } from '../controllers/jobController.js';
-import { auth, employerAuth, optionalAuth } from '../middleware/auth.js';
-import { handleValidationErrors } from '../middleware/validation.js';
+import { auth, employerAuth, optionalAuth, requireVerifiedEmail, allowApiKey } from '../middleware/auth.js';
+import { createJobValidation, handleValidationErrors, paginationValidation } from '../middleware/validation.js';
+import { JOB_SORT_FIELDS } from '../models/Job.js';
+import { JOB_FACETS, isValidFacetsParam } from '../utils/jobFacets.js';
+import { uploadCsv } from '../utils/upload.js';
 
 const router = express.Router();
 
-// Validation rules - LINH HOẠT HƠN
-const createJobValidation = [
-  body('title')
+// Validation rules
+const jobSearchValidation = [
+  ...paginationValidation([...JOB_SORT_FIELDS, 'relevance', 'distance']),
+  query('lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('lat must be between -90 and 90')
+    .custom((value, { req }) => req.query.lng !== undefined)
+    .withMessage('lat and lng must be provided together'),
+  query('lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('lng must be between -180 and 180')
+    .custom((value, { req }) => req.query.lat !== undefined)
+    .withMessage('lat and lng must be provided together'),
+  query('radiusKm')
+    .optional()
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('radiusKm must be greater than 0 and at most 100'),
+  query('facets')
+    .optional()
+    .custom(isValidFacetsParam)
+    .withMessage(`facets must be true, all or a comma-separated list of: ${JOB_FACETS.join(', ')}`),
+  query('availableOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('availableOnly must be a boolean')
+    .custom((value, { req }) => value !== 'true' || (!req.query.after && !req.query.before))
+    .withMessage('availableOnly does not support cursor pagination, use page instead'),
+  query('sortBy')
+    .if(query('sortBy').equals('distance'))
+    .custom((value, { req }) => req.query.lat !== undefined && req.query.lng !== undefined)
+    .withMessage('Sorting by distance requires lat and lng')
+];
+
+const suggestValidation = [
+  query('q')
     .trim()
-    .isLength({ min: 5, max: 100 })
-    .withMessage('Title must be between 5 and 100 characters'),
-  body('description')
+    .isLength({ min: 1, max: 50 })
+    .withMessage('q must be between 1 and 50 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('limit must be between 1 and 10')
+];
+
+const importJobsValidation = [
+  query('mode')
+    .optional()
+    .isIn(['partial', 'atomic'])
+    .withMessage('mode must be partial or atomic')
+];
+
+const jobIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid job ID')
+];
+
+const publishJobValidation = [
+  ...jobIdValidation,
+  body('publishAt')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('publishAt must be a valid date')
+];
+
+// Sửa tin: version (tùy chọn) là version client đang sửa, lệch thì trả 409
+const updateJobValidation = [
+  ...createJobValidation,
+  body('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('version must be a positive integer')
+];
+
+const republishJobValidation = [
+  ...jobIdValidation,
+  body('applicationDeadline')
+    .optional({ checkFalsy: true })
+    .isISO8601()
+    .withMessage('applicationDeadline must be a valid date')
+];
+
+const jobHistoryValidation = [
+  ...jobIdValidation,
+  ...paginationValidation(['version']),
+  query('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('version must be a positive integer')
+];
+
+// Nhân bản tin: hạn nộp mới tùy chọn, như republish
+const duplicateJobValidation = republishJobValidation;
+
+// Template dùng lại đúng validation của POST /api/jobs
+const jobTemplateValidation = [
+  body('name')
     .trim()
-    .isLength({ min: 10, max: 5000 }) // Giảm min length, tăng max
-    .withMessage('Description must be between 10 and 5000 characters'),
-  body('location')
-    .notEmpty()
-    .withMessage('Location is required'),
-  body('jobType')
-    .isIn(['Bán thời gian', 'Toàn thời gian', 'Thực tập', 'Freelance'])
-    .withMessage('Invalid job type'),
-  body('category')
-    .isIn(['Phục vụ', 'Bán hàng', 'Gia sư', 'Công nghệ', 'Giao hàng', 'Văn phòng', 'Khác'])
-    .withMessage('Invalid category')
-  // BỎ required cho salary và contactEmail để linh hoạt hơn
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Template name must be between 1 and 100 characters'),
+  ...createJobValidation
+];
+
+const templateIdValidation = [
+  param('templateId')
+    .isMongoId()
+    .withMessage('Invalid template ID')
 ];
 
 // Public routes
-router.get('/', optionalAuth, getJobs);
+router.get('/', optionalAuth, jobSearchValidation, handleValidationErrors, getJobs);
 router.get('/featured', getFeaturedJobs);
+router.get('/suggest', suggestValidation, handleValidationErrors, getJobSuggestions);
+
+// Job templates (đặt trước /:id)
+router.get('/templates', allowApiKey('jobs:read'), employerAuth, getJobTemplates);
+router.post('/templates', allowApiKey('jobs:write'), employerAuth, jobTemplateValidation, handleValidationErrors, createJobTemplate);
+router.get('/templates/:templateId', allowApiKey('jobs:read'), employerAuth, templateIdValidation, handleValidationErrors, getJobTemplate);
+router.put('/templates/:templateId', allowApiKey('jobs:write'), employerAuth, [...templateIdValidation, ...jobTemplateValidation], handleValidationErrors, updateJobTemplate);
+router.delete('/templates/:templateId', allowApiKey('jobs:write'), employerAuth, templateIdValidation, handleValidationErrors, deleteJobTemplate);
+router.post('/templates/:templateId/jobs', allowApiKey('jobs:write'), employerAuth, requireVerifiedEmail, templateIdValidation, handleValidationErrors, createJobFromTemplate);
+
 router.get('/:id', optionalAuth, getJob);
 
-// Employer routes
-router.get('/employer/my-jobs', employerAuth, getEmployerJobs);
-router.post('/', employerAuth, createJobValidation, handleValidationErrors, createJob);
-router.put('/:id', employerAuth, createJobValidation, handleValidationErrors, updateJob);
-router.delete('/:id', employerAuth, deleteJob);
+// Employer routes (cũng nhận X-API-Key với scope tương ứng)
+router.get('/employer/my-jobs', allowApiKey('jobs:read'), employerAuth, paginationValidation(JOB_SORT_FIELDS), handleValidationErrors, getEmployerJobs);
+router.get('/employer/export', allowApiKey('jobs:read'), employerAuth, exportEmployerJobs);
+router.post('/', allowApiKey('jobs:write'), employerAuth, requireVerifiedEmail, createJobValidation, handleValidationErrors, createJob);
+router.post('/import', allowApiKey('jobs:write'), employerAuth, requireVerifiedEmail, uploadCsv.single('file'), importJobsValidation, handleValidationErrors, importJobs);
+router.put('/:id', allowApiKey('jobs:write'), employerAuth, updateJobValidation, handleValidationErrors, updateJob);
+router.delete('/:id', allowApiKey('jobs:write'), employerAuth, deleteJob);
+
+// Job lifecycle
+router.put('/:id/publish', allowApiKey('jobs:write'), employerAuth, publishJobValidation, handleValidationErrors, publishJob);
+router.put('/:id/pause', allowApiKey('jobs:write'), employerAuth, jobIdValidation, handleValidationErrors, pauseJob);
+router.put('/:id/resume', allowApiKey('jobs:write'), employerAuth, jobIdValidation, handleValidationErrors, resumeJob);
+router.put('/:id/close', allowApiKey('jobs:write'), employerAuth, jobIdValidation, handleValidationErrors, closeJob);
+router.put('/:id/republish', allowApiKey('jobs:write'), employerAuth, republishJobValidation, handleValidationErrors, republishJob);
+router.get('/:id/history', allowApiKey('jobs:read'), employerAuth, jobHistoryValidation, handleValidationErrors, getJobHistory);
+router.post('/:id/duplicate', allowApiKey('jobs:write'), employerAuth, requireVerifiedEmail, duplicateJobValidation, handleValidationErrors, duplicateJob);
 
 export default router;
\ No newline at end of file
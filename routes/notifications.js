@@ -0,0 +1,34 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+  updateNotificationPreferences
+} from '../controllers/notificationController.js';
+import { auth } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Validation rules
+const notificationIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid notification ID')
+];
+
+const preferencesValidation = [
+  body('companyJobs')
+    .isIn(['in_app', 'email_digest', 'none'])
+    .withMessage('companyJobs must be one of: in_app, email_digest, none')
+];
+
+router.use(auth);
+
+router.get('/', getNotifications);
+router.put('/read-all', markAllNotificationsRead);
+router.put('/preferences', preferencesValidation, handleValidationErrors, updateNotificationPreferences);
+router.put('/:id/read', notificationIdValidation, handleValidationErrors, markNotificationRead);
+
+export default router;
@@ -8,10 +8,14 @@ import {
   getSavedJobs,
   saveJob,
   removeSavedJob,
-  getRecommendedJobs
+  getFollowedCompanies,
+  updateAvailability,
+  getRecommendedJobs,
+  exportMyData,
+  deleteMyAccount
 } from '../controllers/userController.js';
 import { auth, studentAuth } from '../middleware/auth.js';
-import { handleValidationErrors } from '../middleware/validation.js';
+import { handleValidationErrors, weeklySlotsValidation } from '../middleware/validation.js';
 import { uploadResume as resumeUpload, uploadAvatar as avatarUpload } from '../utils/upload.js';
 
 const router = express.Router();
@@ -43,17 +47,29 @@ const updateProfileValidation = [
     .withMessage('Each skill cannot be more than 50 characters')
 ];
 
+const availabilityValidation = weeklySlotsValidation('availability');
+
+const deleteAccountValidation = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required to delete your account')
+];
+
 // Public routes (with optional auth)
 router.get('/profile/:id?', auth, getUserProfile);
 
 // Authenticated routes
 router.put('/profile', auth, updateProfileValidation, handleValidationErrors, updateUserProfile);
 router.post('/upload-avatar', auth, avatarUpload.single('avatar'), uploadAvatar);
+router.get('/me/export', auth, exportMyData);
+router.delete('/me', auth, deleteAccountValidation, handleValidationErrors, deleteMyAccount);
 
 // Student only routes
 router.get('/saved-jobs', studentAuth, getSavedJobs);
 router.post('/saved-jobs/:jobId', studentAuth, saveJob);
 router.delete('/saved-jobs/:jobId', studentAuth, removeSavedJob);
+router.get('/following', studentAuth, getFollowedCompanies);
+router.put('/availability', studentAuth, availabilityValidation, handleValidationErrors, updateAvailability);
 router.get('/recommended-jobs', studentAuth, getRecommendedJobs);
 router.post('/upload-resume', studentAuth, resumeUpload.single('resume'), uploadResume);
 
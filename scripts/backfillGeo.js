@@ -0,0 +1,85 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import Company from '../models/Company.js';
+import Job, { resolveJobLocation } from '../models/Job.js';
+import { geocodeLocation } from '../utils/geocoding.js';
+
+// === CẤU HÌNH BAN ĐẦU ===
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+const BATCH_SIZE = 500;
+
+// Ghi tọa độ theo lô, trả về số bản ghi đã cập nhật / không geocode được
+const backfill = async (Model, filter, fields, resolve, dryRun) => {
+  const cursor = Model.find(filter)
+    .select(fields)
+    .lean()
+    .cursor({ batchSize: BATCH_SIZE });
+  let updated = 0;
+  let unresolved = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (!dryRun && operations.length > 0) await Model.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    const resolved = await resolve(doc);
+    if (!resolved) {
+      unresolved++;
+      continue;
+    }
+
+    updated++;
+    if (dryRun) console.log(` - ${Model.modelName} ${doc._id} -> ${JSON.stringify(resolved)}`);
+    operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: resolved } } });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+
+  await flush();
+  return { updated, unresolved };
+};
+
+// Geocode công ty và tin tuyển dụng cũ chưa có tọa độ / tỉnh thành (công ty trước để tin có thể lấy tọa độ công ty)
+// Usage: npm run geo:backfill [-- --dry-run]
+const backfillGeo = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI);
+
+    const noGeo = { 'geo.coordinates': { $exists: false } };
+    const companies = await backfill(Company, noGeo, ['address', 'district', 'city'], (company) => {
+      const result = geocodeLocation(company.address, company.district, company.city);
+      return result && { geo: result.point, geoSource: 'geocoded' };
+    }, dryRun);
+
+    const jobFilter = { $or: [noGeo, { city: { $exists: false } }] };
+    const jobs = await backfill(Job, jobFilter, ['location', 'address', 'company', 'geo'], async (job) => {
+      const { geo, geoSource, city } = await resolveJobLocation(job);
+
+      // Không ghi đè tọa độ đã có (có thể nhập tay)
+      const fields = job.geo?.coordinates ? { city } : { geo, geoSource, city };
+      const resolved = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+      return Object.keys(resolved).length > 0 ? resolved : null;
+    }, dryRun);
+
+    const verb = dryRun ? 'would be geocoded' : 'geocoded';
+    console.log(`✅ Companies: ${companies.updated} ${verb}, ${companies.unresolved} without a known location`);
+    console.log(`✅ Jobs: ${jobs.updated} ${verb}, ${jobs.unresolved} without a known location`);
+    process.exit();
+  } catch (error) {
+    console.error('❌ Geo backfill failed!');
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+backfillGeo();
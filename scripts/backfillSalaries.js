@@ -0,0 +1,62 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import Job from '../models/Job.js';
+import { getSalaryFields } from '../utils/salary.js';
+
+// === CẤU HÌNH BAN ĐẦU ===
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+const BATCH_SIZE = 500;
+const SALARY_FIELDS = ['salaryMin', 'salaryMax', 'salaryType', 'salaryHourlyMin', 'salaryHourlyMax'];
+
+// Phân tích lại lương dạng chữ của các tin cũ
+// Usage: npm run salary:backfill [-- --dry-run]
+const backfillSalaries = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI);
+
+    const cursor = Job.find().select(['salary', ...SALARY_FIELDS]).lean().cursor({ batchSize: BATCH_SIZE });
+    let checked = 0;
+    let updated = 0;
+    let unparsed = 0;
+    let operations = [];
+
+    const flush = async () => {
+      if (!dryRun && operations.length > 0) await Job.bulkWrite(operations, { ordered: false });
+      operations = [];
+    };
+
+    for await (const job of cursor) {
+      checked++;
+      const fields = getSalaryFields(job.salary);
+      if (fields.salaryMin == null && fields.salaryMax == null) unparsed++;
+
+      const changed = SALARY_FIELDS.some(field => field in fields && (job[field] ?? null) !== fields[field]);
+      if (!changed) continue;
+
+      updated++;
+      if (dryRun) console.log(` - ${job._id} "${job.salary}" -> ${JSON.stringify(fields)}`);
+      operations.push({ updateOne: { filter: { _id: job._id }, update: { $set: fields } } });
+      if (operations.length >= BATCH_SIZE) await flush();
+    }
+
+    await flush();
+
+    console.log(`✅ ${checked} job(s) checked, ${updated} ${dryRun ? 'would be ' : ''}updated, ${unparsed} without a parsable salary`);
+    process.exit();
+  } catch (error) {
+    console.error('❌ Salary backfill failed!');
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+backfillSalaries();
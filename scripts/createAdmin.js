@@ -0,0 +1,60 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import User from '../models/User.js';
+
+// === CẤU HÌNH BAN ĐẦU ===
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+// Tạo tài khoản admin mới hoặc nâng quyền tài khoản có sẵn
+// Usage: npm run admin:create -- <email> [password] [name]
+const createAdmin = async () => {
+  const [email, password, name = 'Administrator'] = process.argv.slice(2);
+
+  if (!email) {
+    console.log('Usage: node scripts/createAdmin.js <email> [password] [name]');
+    console.log(' - Email đã tồn tại: nâng quyền tài khoản đó thành admin');
+    console.log(' - Email mới: cần truyền password để tạo tài khoản');
+    process.exit(0);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI);
+
+    let user = await User.findOne({ email: email.toLowerCase() });
+
+    if (user) {
+      user.userType = 'admin';
+      user.isActive = true;
+      await user.save();
+      console.log(`✅ Promoted ${user.email} to admin`);
+    } else {
+      if (!password) {
+        console.error('❌ Password is required to create a new admin account');
+        process.exit(1);
+      }
+
+      user = await User.create({
+        name,
+        email,
+        password,
+        userType: 'admin',
+        isVerified: true
+      });
+      console.log(`✅ Created admin account ${user.email}`);
+    }
+
+    process.exit();
+  } catch (error) {
+    console.error('❌ Create admin failed!');
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+createAdmin();
@@ -0,0 +1,39 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+import { reconcileCounters, summarizeReconciliation } from '../utils/reconcileCounters.js';
+
+// === CẤU HÌNH BAN ĐẦU ===
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({ path: path.resolve(__dirname, '..', '.env') });
+
+// Đếm lại jobCount / applicationCount / followerCount từ dữ liệu gốc
+// Usage: npm run counters:reconcile [-- --dry-run]
+const run = async () => {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGO_URI);
+
+    const report = await reconcileCounters({ dryRun });
+
+    console.log(`✅ ${summarizeReconciliation(report)} (${report.durationMs}ms)`);
+    [...report.companies.discrepancies.map(d => ({ collection: 'companies', ...d })),
+      ...report.jobs.discrepancies.map(d => ({ collection: 'jobs', ...d }))]
+      .forEach(({ collection, id, field, from, to }) => {
+        console.log(` - ${collection} ${id} ${field}: ${from} -> ${to}`);
+      });
+
+    process.exit();
+  } catch (error) {
+    console.error('❌ Counter reconciliation failed!');
+    console.error(error);
+    process.exit(1);
+  }
+};
+
+run();
@@ -10,11 +10,23 @@ import authRoutes from './routes/auth.js';
 import jobRoutes from './routes/jobs.js';
 import applicationRoutes from './routes/applications.js';
 import userRoutes from './routes/users.js';
+import adminRoutes from './routes/admin.js';
+import companyRoutes from './routes/companies.js';
+import notificationRoutes from './routes/notifications.js';
+import { identifyApiKey } from './middleware/auth.js';
+import { startScheduler } from './utils/scheduler.js';
+import { migrateLegacyJobStatus } from './utils/jobLifecycle.js';
+import { migrateJobSearchFields } from './utils/jobSearch.js';
 
 dotenv.config();
 
 const app = express();
 
+// Chỉ tin X-Forwarded-For khi chạy sau reverse proxy (vd Render: TRUST_PROXY=1 = số proxy phía trước),
+// nếu không client có thể giả req.ip để né rate limit / khóa đăng nhập theo IP
+const trustProxy = process.env.TRUST_PROXY;
+app.set('trust proxy', trustProxy && trustProxy !== 'false' ? (parseInt(trustProxy) || 1) : false);
+
 // Middleware
 app.use(helmet());
 app.use(cors({
@@ -26,16 +38,27 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 
-// Rate limiting
+// Rate limiting (X-API-Key hợp lệ được xác minh trước, có giới hạn riêng bên dưới)
+app.use(identifyApiKey);
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
+  max: 100, // limit each IP to 100 requests per windowMs
+  skip: (req) => Boolean(req.verifiedApiKey)
 });
 app.use(limiter);
 
+// Rate limiting riêng cho tích hợp ATS, tính theo từng API key đã xác minh
+const apiKeyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.API_KEY_RATE_LIMIT) || 1000,
+  keyGenerator: (req) => `api-key:${req.verifiedApiKey._id}`,
+  skip: (req) => !req.verifiedApiKey
+});
+app.use(apiKeyLimiter);
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
@@ -56,6 +79,9 @@ app.use('/api/auth', authRoutes);
 app.use('/api/jobs', jobRoutes);
 app.use('/api/applications', applicationRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/companies', companyRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/notifications', notificationRoutes);
 
 // Health check endpoint (required for Render)
 app.get('/api/health', (req, res) => {
@@ -78,6 +104,9 @@ app.get('/', (req, res) => {
       jobs: '/api/jobs',
       applications: '/api/applications',
       users: '/api/users',
+      companies: '/api/companies',
+      admin: '/api/admin',
+      notifications: '/api/notifications',
       health: '/api/health'
     },
     documentation: 'Check GitHub repo for API documentation'
@@ -105,7 +134,22 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 5000;
 
 // Start server
-connectDB().then(() => {
+connectDB().then(async () => {
+  try {
+    const migrated = await migrateLegacyJobStatus();
+    if (migrated) console.log(`🔄 Migrated status of ${migrated} legacy job(s)`);
+  } catch (error) {
+    console.error('❌ Job status migration error:', error);
+  }
+
+  try {
+    const indexed = await migrateJobSearchFields();
+    if (indexed) console.log(`🔎 Built search fields for ${indexed} job(s)`);
+  } catch (error) {
+    console.error('❌ Job search migration error:', error);
+  }
+
+  startScheduler();
   app.listen(PORT, () => {
     console.log(`🚀 Server is running on port ${PORT}`);
     console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
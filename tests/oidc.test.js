@@ -0,0 +1,288 @@
+import crypto from 'crypto';
+import http from 'http';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { jest } from '@jest/globals';
+
+import User from '../models/User.js';
+import OidcState from '../models/OidcState.js';
+import Session from '../models/Session.js';
+import { getProviders, startOidcLogin, oidcCallback } from '../controllers/oidcController.js';
+
+// 🧪 Đăng nhập OIDC với một issuer giả chạy local (discovery, JWKS, token endpoint)
+const CLIENT_ID = 'parttimejob-test';
+const CLIENT_SECRET = 'test-secret';
+const CLIENT_URL = 'http://frontend.test';
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+  resolve(`http://127.0.0.1:${server.address().port}`);
+}));
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let body = '';
+  req.on('data', chunk => (body += chunk));
+  req.on('end', () => resolve(body));
+  req.on('error', reject);
+});
+
+const startMockIssuer = async () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'mock-key-1';
+  const grants = new Map(); // code -> yêu cầu authorize đã được "người dùng" chấp nhận
+  let issuer;
+
+  const server = http.createServer(async (req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+    const { pathname } = new URL(req.url, issuer);
+
+    if (pathname === '/.well-known/openid-configuration') {
+      return send(200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`,
+        token_endpoint_auth_methods_supported: ['client_secret_basic']
+      });
+    }
+
+    if (pathname === '/jwks') {
+      return send(200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+    }
+
+    if (pathname === '/token' && req.method === 'POST') {
+      const params = new URLSearchParams(await readBody(req));
+      const grant = grants.get(params.get('code'));
+      grants.delete(params.get('code'));
+
+      const expectedAuth = `Basic ${Buffer.from(`${CLIENT_ID}:${CLIENT_SECRET}`).toString('base64')}`;
+      const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+      if (!grant
+        || req.headers.authorization !== expectedAuth
+        || params.get('grant_type') !== 'authorization_code'
+        || params.get('redirect_uri') !== grant.redirectUri
+        || challenge !== grant.codeChallenge) {
+        return send(400, { error: 'invalid_grant' });
+      }
+
+      const idToken = jwt.sign({ ...grant.claims, nonce: grant.nonce }, privateKey, {
+        algorithm: 'RS256',
+        keyid: kid,
+        issuer,
+        audience: CLIENT_ID,
+        expiresIn: '5m'
+      });
+      return send(200, { access_token: 'mock-access-token', token_type: 'Bearer', id_token: idToken });
+    }
+
+    send(404, { error: 'not_found' });
+  });
+
+  issuer = await listen(server);
+
+  return {
+    issuer,
+    // Giả lập người dùng đăng nhập và đồng ý ở trang authorize: trả về code + state cho callback
+    authorize: (authorizationUrl, claims) => {
+      const url = new URL(authorizationUrl);
+      const code = crypto.randomBytes(16).toString('hex');
+      grants.set(code, {
+        redirectUri: url.searchParams.get('redirect_uri'),
+        codeChallenge: url.searchParams.get('code_challenge'),
+        nonce: url.searchParams.get('nonce'),
+        claims
+      });
+      return { code, state: url.searchParams.get('state') };
+    },
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+// User / OidcState lưu trong bộ nhớ thay cho MongoDB
+const users = [];
+const states = new Map();
+
+const makeUser = (data) => ({
+  _id: new mongoose.Types.ObjectId(),
+  isActive: true,
+  isVerified: false,
+  twoFactorEnabled: false,
+  oidcAccounts: [],
+  save: jest.fn().mockResolvedValue(undefined),
+  ...data
+});
+
+const mockModels = () => {
+  jest.spyOn(OidcState, 'create').mockImplementation(async (data) => {
+    states.set(data.state, { ...data });
+    return data;
+  });
+  jest.spyOn(OidcState, 'consume').mockImplementation(async (state, provider) => {
+    const stored = states.get(state);
+    if (!stored || stored.provider !== provider) return null;
+    states.delete(state);
+    return stored;
+  });
+  jest.spyOn(User, 'findOne').mockImplementation(async (query) => {
+    if (query.oidcAccounts) {
+      const { provider, subject } = query.oidcAccounts.$elemMatch;
+      return users.find(user => user.oidcAccounts.some(a => a.provider === provider && a.subject === subject)) || null;
+    }
+    return users.find(user => user.email === query.email) || null;
+  });
+  jest.spyOn(User, 'create').mockImplementation(async (data) => {
+    const user = makeUser(data);
+    users.push(user);
+    return user;
+  });
+  jest.spyOn(Session.prototype, 'save').mockResolvedValue(undefined);
+};
+
+describe('OIDC login against a local mock issuer', () => {
+  let mockIssuer;
+  let appServer;
+  let apiUrl;
+
+  beforeAll(async () => {
+    mockIssuer = await startMockIssuer();
+
+    const app = express();
+    app.get('/api/auth/oidc', getProviders);
+    app.get('/api/auth/oidc/:provider', startOidcLogin);
+    app.get('/api/auth/oidc/:provider/callback', oidcCallback);
+    appServer = http.createServer(app);
+    apiUrl = await listen(appServer);
+
+    Object.assign(process.env, {
+      OIDC_PROVIDERS: 'mock',
+      OIDC_MOCK_ISSUER: mockIssuer.issuer,
+      OIDC_MOCK_CLIENT_ID: CLIENT_ID,
+      OIDC_MOCK_CLIENT_SECRET: CLIENT_SECRET,
+      API_URL: apiUrl,
+      CLIENT_URL,
+      JWT_SECRET: 'test-jwt-secret'
+    });
+  });
+
+  afterAll(async () => {
+    await mockIssuer.close();
+    await new Promise(resolve => appServer.close(resolve));
+  });
+
+  beforeEach(() => {
+    users.length = 0;
+    states.clear();
+    jest.restoreAllMocks();
+    mockModels();
+  });
+
+  const startLogin = async () => {
+    const response = await fetch(`${apiUrl}/api/auth/oidc/mock?response=json`);
+    const body = await response.json();
+    expect(response.status).toBe(200);
+    return body.data.authorizationUrl;
+  };
+
+  // Gọi callback, trả về tham số trong fragment của URL chuyển hướng về frontend
+  const callback = async ({ code, state }) => {
+    const query = new URLSearchParams({ code, state }).toString();
+    const response = await fetch(`${apiUrl}/api/auth/oidc/mock/callback?${query}`, { redirect: 'manual' });
+    expect(response.status).toBe(302);
+
+    const location = new URL(response.headers.get('location'));
+    expect(`${location.origin}${location.pathname}`).toBe(`${CLIENT_URL}/auth/oidc/callback`);
+    return Object.fromEntries(new URLSearchParams(location.hash.slice(1)));
+  };
+
+  const signIn = async (claims) => callback(mockIssuer.authorize(await startLogin(), claims));
+
+  test('sends PKCE challenge and state, and accepts each state only once', async () => {
+    const authorizationUrl = await startLogin();
+    const params = new URL(authorizationUrl).searchParams;
+
+    expect(authorizationUrl.startsWith(`${mockIssuer.issuer}/authorize?`)).toBe(true);
+    expect(params.get('client_id')).toBe(CLIENT_ID);
+    expect(params.get('code_challenge_method')).toBe('S256');
+    expect(params.get('redirect_uri')).toBe(`${apiUrl}/api/auth/oidc/mock/callback`);
+
+    const stored = states.get(params.get('state'));
+    expect(stored.nonce).toBe(params.get('nonce'));
+    expect(crypto.createHash('sha256').update(stored.codeVerifier).digest('base64url'))
+      .toBe(params.get('code_challenge'));
+
+    const grant = mockIssuer.authorize(authorizationUrl, {
+      sub: 'pkce-user',
+      email: 'pkce@student.edu.vn',
+      email_verified: true
+    });
+    expect(await callback(grant)).toHaveProperty('token');
+
+    // State đã dùng hoặc bị sửa thì bị từ chối
+    expect(await callback(grant)).toEqual({ error: 'invalid_state' });
+    const tampered = mockIssuer.authorize(await startLogin(), { sub: 'x', email: 'x@example.com', email_verified: true });
+    expect(await callback({ ...tampered, state: 'forged-state' })).toEqual({ error: 'invalid_state' });
+  });
+
+  test('builds redirect_uri from API_URL, not from the Host header', async () => {
+    const authorizationUrl = await new Promise((resolve, reject) => {
+      const request = http.get(`${apiUrl}/api/auth/oidc/mock?response=json`, { headers: { Host: 'evil.test' } }, (response) => {
+        readBody(response).then(body => resolve(JSON.parse(body).data.authorizationUrl), reject);
+      });
+      request.on('error', reject);
+    });
+
+    expect(new URL(authorizationUrl).searchParams.get('redirect_uri')).toBe(`${apiUrl}/api/auth/oidc/mock/callback`);
+  });
+
+  test('creates a student account on first login', async () => {
+    const result = await signIn({
+      sub: 'student-1',
+      email: 'New.Student@Student.edu.vn',
+      email_verified: true,
+      name: 'Nguyễn Văn A'
+    });
+
+    expect(result.token).toBeTruthy();
+    expect(result.refreshToken).toBeTruthy();
+    expect(users).toHaveLength(1);
+    expect(users[0]).toMatchObject({
+      email: 'new.student@student.edu.vn',
+      name: 'Nguyễn Văn A',
+      userType: 'student',
+      isVerified: true,
+      oidcAccounts: [{ provider: 'mock', subject: 'student-1', email: 'new.student@student.edu.vn' }]
+    });
+
+    // Lần sau đăng nhập bằng tài khoản đã liên kết, không tạo user mới
+    expect(await signIn({ sub: 'student-1', email: 'new.student@student.edu.vn', email_verified: true }))
+      .toHaveProperty('token');
+    expect(users).toHaveLength(1);
+  });
+
+  test('links an existing account by verified email', async () => {
+    const existing = makeUser({ email: 'employer@example.com', userType: 'employer' });
+    users.push(existing);
+
+    const result = await signIn({ sub: 'employer-1', email: 'employer@example.com', email_verified: true });
+
+    expect(result.token).toBeTruthy();
+    expect(users).toHaveLength(1);
+    expect(existing.oidcAccounts).toEqual([{ provider: 'mock', subject: 'employer-1', email: 'employer@example.com' }]);
+    expect(existing.isVerified).toBe(true);
+    expect(existing.save).toHaveBeenCalled();
+  });
+
+  test('rejects linking an existing account when the email is not verified', async () => {
+    const existing = makeUser({ email: 'victim@example.com', userType: 'student' });
+    users.push(existing);
+
+    const result = await signIn({ sub: 'attacker-1', email: 'victim@example.com', email_verified: false });
+
+    expect(result).toEqual({ error: 'email_not_verified' });
+    expect(existing.oidcAccounts).toEqual([]);
+    expect(User.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+import { parseSalary, getSalaryFields, toHourlyAmount } from '../utils/salary.js';
+
+// 🧪 Phân tích lương dạng chữ
+describe('parseSalary', () => {
+  test.each([
+    ['30,000 VND/giờ', 30000],
+    ['30.000đ/giờ', 30000],
+    ['1.500.000 VND/tháng', 1500000],
+    ['5,5tr/tháng', 5500000],
+    ['1.5 triệu/tháng', 1500000],
+    ['25k/h', 25000],
+    ['1tr5/tháng', 1500000]
+  ])('reads VND separators and k/tr suffixes in "%s"', (text, amount) => {
+    expect(parseSalary(text)).toMatchObject({ salaryMin: amount, salaryMax: amount });
+  });
+
+  test.each([
+    ['25-30k/h', 25000, 30000],
+    ['5 - 7 triệu/tháng', 5000000, 7000000],
+    ['200k đến 300k/ngày', 200000, 300000],
+    ['30k~25k/giờ', 25000, 30000]
+  ])('reads the range in "%s"', (text, salaryMin, salaryMax) => {
+    expect(parseSalary(text)).toMatchObject({ salaryMin, salaryMax });
+  });
+
+  test.each([
+    ['30,000 VND/giờ', 'hourly'],
+    ['250k/giờ', 'hourly'],
+    ['2tr/giờ', 'hourly'],
+    ['30k/giờ, 8h/ngày', 'hourly'],
+    ['25k/tiếng', 'hourly'],
+    ['50k/hr', 'hourly'],
+    ['30k theo giờ', 'hourly'],
+    ['200k/ngày', 'daily'],
+    ['300k/ca', 'daily'],
+    ['150k/buổi', 'daily'],
+    ['5tr/tháng', 'monthly'],
+    ['100k/tháng', 'monthly'],
+    ['2 triệu/dự án', 'project']
+  ])('reads the unit in "%s" as %s', (text, salaryType) => {
+    expect(parseSalary(text).salaryType).toBe(salaryType);
+  });
+
+  test('guesses the unit from the amount when none is written', () => {
+    expect(parseSalary('25k').salaryType).toBe('hourly');
+    expect(parseSalary('300k').salaryType).toBe('daily');
+    expect(parseSalary('7 triệu').salaryType).toBe('monthly');
+  });
+
+  test('keeps only the known bound of open ranges', () => {
+    expect(parseSalary('Từ 7 triệu')).toMatchObject({ salaryMin: 7000000, salaryMax: null });
+    expect(parseSalary('Tối đa 8 triệu')).toMatchObject({ salaryMin: null, salaryMax: 8000000 });
+  });
+
+  test('ignores numbers that are not amounts', () => {
+    expect(parseSalary('30k/giờ, ca 8h-12h')).toMatchObject({ salaryMin: 30000, salaryMax: 30000 });
+  });
+
+  test.each(['Thương lượng', '', null])('returns null without an amount (%p)', (text) => {
+    expect(parseSalary(text)).toBeNull();
+  });
+});
+
+describe('getSalaryFields', () => {
+  test('converts to hourly amounts', () => {
+    expect(getSalaryFields('5-7 triệu/tháng')).toEqual({
+      salaryMin: 5000000,
+      salaryMax: 7000000,
+      salaryType: 'monthly',
+      salaryHourlyMin: toHourlyAmount(5000000, 'monthly'),
+      salaryHourlyMax: toHourlyAmount(7000000, 'monthly')
+    });
+    expect(getSalaryFields('250k/giờ')).toMatchObject({ salaryHourlyMin: 250000, salaryHourlyMax: 250000 });
+  });
+
+  test('stores a null salaryType when the salary cannot be parsed', () => {
+    expect(getSalaryFields('Thương lượng')).toEqual({
+      salaryMin: null,
+      salaryMax: null,
+      salaryType: null,
+      salaryHourlyMin: null,
+      salaryHourlyMax: null
+    });
+  });
+});
@@ -0,0 +1,66 @@
+// 📑 Đọc / ghi CSV (RFC 4180): dấu phẩy, ô trong ngoặc kép, "" là dấu ngoặc kép, xuống dòng trong ô
+const UTF8_BOM = '\uFEFF';
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Bỏ BOM và các dòng trống; ném lỗi nếu ngoặc kép không được đóng.
+ */
+export const parseCsv = (text) => {
+  const input = String(text).startsWith(UTF8_BOM) ? String(text).slice(1) : String(text);
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some(value => value.trim() !== '')) rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new Error('Invalid CSV: unterminated quoted field');
+  endRow();
+
+  return rows;
+};
+
+// Ô bắt đầu bằng = + - @ bị Excel hiểu là công thức: thêm ' phía trước
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Ghi CSV kèm BOM để Excel đọc đúng tiếng Việt
+export const toCsv = (header, rows) => UTF8_BOM + [header, ...rows]
+  .map(row => row.map(escapeCell).join(','))
+  .join('\r\n');
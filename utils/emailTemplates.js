@@ -0,0 +1,107 @@
+import { getClientUrl } from './sendEmail.js';
+
+// ✉️ Mỗi template trả về { subject, text, html } để truyền thẳng vào sendEmail
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const verificationEmail = (user, token) => {
+  const link = `${getClientUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Verify your PartTimeJob email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n${link}\n\nThe link expires in 24 hours. If you did not create an account, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Please confirm your email address by clicking the link below:</p>
+<p><a href="${link}">Verify my email</a></p>
+<p>The link expires in 24 hours. If you did not create an account, you can ignore this email.</p>`
+  };
+};
+
+export const passwordResetEmail = (user, token) => {
+  const link = `${getClientUrl()}/reset-password/${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Reset your PartTimeJob password',
+    text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${link}\n\nThe link expires in 15 minutes and can only be used once. If you did not request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>We received a request to reset your password. Click the link below to choose a new one:</p>
+<p><a href="${link}">Reset my password</a></p>
+<p>The link expires in 15 minutes and can only be used once. If you did not request this, you can ignore this email.</p>`
+  };
+};
+
+export const accountLockedEmail = (user, lockUntil) => {
+  const until = lockUntil.toISOString();
+  const resetLink = `${getClientUrl()}/forgot-password`;
+
+  return {
+    subject: 'Your PartTimeJob account was temporarily locked',
+    text: `Hi ${user.name},\n\nWe detected several failed sign-in attempts on your account, so sign-in has been locked until ${until}.\n\nIf this wasn't you, we recommend resetting your password: ${resetLink}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>We detected several failed sign-in attempts on your account, so sign-in has been locked until <strong>${until}</strong>.</p>
+<p>If this wasn't you, we recommend <a href="${resetLink}">resetting your password</a>.</p>`
+  };
+};
+
+export const companyInvitationEmail = (company, inviter, role, token) => {
+  const link = `${getClientUrl()}/company-invitations/${encodeURIComponent(token)}`;
+
+  return {
+    subject: `You're invited to join ${company.name} on PartTimeJob`,
+    text: `Hi,\n\n${inviter.name} invited you to join ${company.name} as ${role}.\nAccept the invitation here (sign in with this email address):\n${link}\n\nThe invitation expires in 7 days.`,
+    html: `<p>Hi,</p>
+<p>${escapeHtml(inviter.name)} invited you to join <strong>${escapeHtml(company.name)}</strong> as <strong>${role}</strong>.</p>
+<p><a href="${link}">Accept the invitation</a> (sign in with this email address).</p>
+<p>The invitation expires in 7 days.</p>`
+  };
+};
+
+export const companyVerificationResultEmail = (user, company, approved, reason) => {
+  const link = `${getClientUrl()}/employer/company`;
+
+  if (approved) {
+    return {
+      subject: `${company.name} is now verified on PartTimeJob`,
+      text: `Hi ${user.name},\n\nGood news: ${company.name} has been verified. Your job posts now show the verified badge.\n\nManage your company: ${link}`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Good news: <strong>${escapeHtml(company.name)}</strong> has been verified. Your job posts now show the verified badge.</p>
+<p><a href="${link}">Manage your company</a></p>`
+    };
+  }
+
+  return {
+    subject: `Verification request for ${company.name} was not approved`,
+    text: `Hi ${user.name},\n\nWe could not verify ${company.name}.\nReason: ${reason}\n\nYou can correct the information and submit a new request: ${link}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>We could not verify <strong>${escapeHtml(company.name)}</strong>.</p>
+<p>Reason: ${escapeHtml(reason)}</p>
+<p>You can correct the information and <a href="${link}">submit a new request</a>.</p>`
+  };
+};
+
+export const newJobsDigestEmail = (user, notifications) => {
+  const items = notifications
+    .filter(notification => notification.job)
+    .map(notification => ({
+      company: notification.company ? notification.company.name : 'A company you follow',
+      title: notification.job.title,
+      location: notification.job.location,
+      link: `${getClientUrl()}/jobs/${notification.job._id}`
+    }));
+  const settingsLink = `${getClientUrl()}/settings/notifications`;
+
+  return {
+    subject: `${items.length} new job${items.length === 1 ? '' : 's'} from companies you follow`,
+    text: `Hi ${user.name},\n\nCompanies you follow posted new jobs:\n\n${items.map(item => `- ${item.title} at ${item.company} (${item.location})\n  ${item.link}`).join('\n')}\n\nChange how you receive these updates: ${settingsLink}`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p>
+<p>Companies you follow posted new jobs:</p>
+<ul>
+${items.map(item => `<li><a href="${item.link}">${escapeHtml(item.title)}</a> at <strong>${escapeHtml(item.company)}</strong> (${escapeHtml(item.location)})</li>`).join('\n')}
+</ul>
+<p><a href="${settingsLink}">Change how you receive these updates</a></p>`
+  };
+};
@@ -1,13 +1,68 @@
 import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
 
-export const generateToken = (userId) => {
+// Access token ngắn hạn, gắn với một session (sid) để có thể thu hồi
+export const generateToken = (userId, sessionId) => {
   return jwt.sign(
-    { id: userId },
+    { id: userId, sid: sessionId },
     process.env.JWT_SECRET || 'fallback_secret',
-    { expiresIn: process.env.JWT_EXPIRES_IN || '30d' }
+    { expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m' }
   );
 };
 
+// 🔐 Tạo session mới (mỗi thiết bị một session) và trả về access + refresh token
+export const issueAuthTokens = async (user, req) => {
+  const refreshDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+  const session = new Session({
+    user: user._id,
+    userAgent: (req.get('User-Agent') || '').slice(0, 500),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + refreshDays * 24 * 60 * 60 * 1000)
+  });
+  const refreshToken = session.rotateRefreshToken();
+  await session.save();
+
+  return {
+    token: generateToken(user._id, session._id),
+    refreshToken
+  };
+};
+
 export const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
 };
+
+// ✉️ Token ký riêng cho link xác thực email (gắn với email hiện tại của user)
+export const generateEmailVerificationToken = (user) => {
+  return jwt.sign(
+    { id: user._id, email: user.email, purpose: 'email-verification' },
+    process.env.JWT_SECRET || 'fallback_secret',
+    { expiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h' }
+  );
+};
+
+export const verifyEmailVerificationToken = (token) => {
+  const decoded = verifyToken(token);
+  if (decoded.purpose !== 'email-verification') {
+    throw new Error('Invalid token purpose');
+  }
+  return decoded;
+};
+
+// 🔐 Token tạm thời giữa bước mật khẩu và bước nhập mã 2FA
+export const generateTwoFactorChallengeToken = (user) => {
+  return jwt.sign(
+    { id: user._id, purpose: '2fa-challenge' },
+    process.env.JWT_SECRET || 'fallback_secret',
+    { expiresIn: '5m' }
+  );
+};
+
+export const verifyTwoFactorChallengeToken = (token) => {
+  const decoded = verifyToken(token);
+  if (decoded.purpose !== '2fa-challenge') {
+    throw new Error('Invalid token purpose');
+  }
+  return decoded;
+};
@@ -0,0 +1,80 @@
+import { toSearchText } from './text.js';
+import { VN_PROVINCES } from './vnLocations.js';
+
+// 📍 Geocode offline theo bảng tỉnh/quận (utils/vnLocations.js), không gọi dịch vụ bên ngoài
+export const GEO_SOURCES = ['manual', 'geocoded', 'company'];
+
+const getAliases = (entry) => {
+  const aliases = [toSearchText(entry.name), ...(entry.aliases || [])];
+
+  // Quận có số: "quận 1", "q1", "q.1", "district 1"
+  if (entry.number) {
+    aliases.push(`q ${entry.number}`, `q${entry.number}`, `district ${entry.number}`);
+  }
+
+  return aliases;
+};
+
+const PROVINCE_INDEX = VN_PROVINCES.map(province => ({
+  ...province,
+  aliases: getAliases(province),
+  districts: (province.districts || []).map(district => ({ ...district, aliases: getAliases(district) }))
+}));
+
+// Vị trí xuất hiện cuối cùng của tên trong chuỗi (địa chỉ VN thường ghi tỉnh/thành ở cuối), -1 nếu không có
+const findAlias = (text, aliases) => Math.max(...aliases.map(alias => text.lastIndexOf(` ${alias} `)));
+
+const findLast = (entries, text) => entries
+  .map(entry => ({ entry, position: findAlias(text, entry.aliases) }))
+  .filter(({ position }) => position >= 0)
+  .sort((a, b) => b.position - a.position)[0]?.entry || null;
+
+// Kiểm tra cặp tọa độ [lng, lat]
+export const isValidCoordinates = (coordinates) => Array.isArray(coordinates)
+  && coordinates.length === 2
+  && coordinates.every(Number.isFinite)
+  && Math.abs(coordinates[0]) <= 180
+  && Math.abs(coordinates[1]) <= 90;
+
+// GeoJSON lưu theo thứ tự [lng, lat]
+export const toGeoPoint = (lat, lng) => ({
+  type: 'Point',
+  coordinates: [Number(lng), Number(lat)]
+});
+
+// Tọa độ nhập tay từ request (lat/lng), null nếu thiếu hoặc không hợp lệ
+export const parseCoordinates = (lat, lng) => {
+  if ([lat, lng].some(value => value === undefined || value === null || value === '')) return null;
+  const point = toGeoPoint(lat, lng);
+  return isValidCoordinates(point.coordinates) ? point : null;
+};
+
+/**
+ * Geocode free-text Vietnamese locations ("Quận 1, TP.HCM", "Cầu Giấy - Hà Nội").
+ * Returns { point, precision: 'district' | 'province', province, label } or null when nothing matches.
+ */
+export const geocodeLocation = (...parts) => {
+  const text = ` ${toSearchText(parts.filter(Boolean).join(' '))} `;
+  if (!text.trim()) return null;
+
+  const province = findLast(PROVINCE_INDEX, text);
+  let district = province ? findLast(province.districts, text) : null;
+  let match = province;
+
+  // Không ghi tỉnh/thành: thử tìm theo quận/huyện
+  if (!province) {
+    const candidates = PROVINCE_INDEX.flatMap(item => item.districts.map(entry => ({ ...entry, province: item })));
+    district = findLast(candidates, text);
+    match = district?.province;
+  }
+
+  if (!match) return null;
+
+  const target = district || match;
+  return {
+    point: toGeoPoint(target.lat, target.lng),
+    precision: district ? 'district' : 'province',
+    province: match.name,
+    label: district ? `${district.name}, ${match.name}` : match.name
+  };
+};
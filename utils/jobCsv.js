@@ -0,0 +1,76 @@
+import { JOB_CONTENT_FIELDS } from '../models/Job.js';
+import { parseCsv, toCsv } from './csv.js';
+
+// 📦 CSV cho nhập / xuất tin tuyển dụng hàng loạt
+// - Dòng đầu là tên cột (trùng tên trường của POST /api/jobs), ô trống = không gửi trường đó
+// - shifts: các ca cách nhau bởi ";", mỗi ca "<dayOfWeek> <HH:mm>-<HH:mm>" (0 = Chủ nhật), vd "1 08:00-12:00; 6 13:00-17:00"
+// - File xuất dùng cùng tên cột nên có thể sửa rồi nhập lại
+export const JOB_IMPORT_COLUMNS = [...JOB_CONTENT_FIELDS, 'applicationDeadline', 'status', 'publishAt', 'lat', 'lng'];
+export const MAX_IMPORT_ROWS = 500;
+
+const EXPORTED_JOB_FIELDS = [...JOB_CONTENT_FIELDS, 'applicationDeadline'];
+const APPLICATION_STATUSES = ['pending', 'reviewed', 'shortlisted', 'rejected', 'accepted'];
+
+const SHIFT_PATTERN = /^(\d+)\s+(\S+)\s*-\s*(\S+)$/;
+
+// "1 08:00-12:00; 6 13:00-17:00" -> [{ dayOfWeek, startTime, endTime }]; ca sai định dạng giữ nguyên để validation báo lỗi
+const parseShiftsCell = (value) => value.split(';')
+  .map(part => part.trim())
+  .filter(Boolean)
+  .map(part => {
+    const match = part.match(SHIFT_PATTERN);
+    return match
+      ? { dayOfWeek: match[1], startTime: match[2], endTime: match[3] }
+      : { dayOfWeek: part, startTime: '', endTime: '' };
+  });
+
+const formatShifts = (shifts = []) => shifts
+  .map(shift => `${shift.dayOfWeek} ${shift.startTime}-${shift.endTime}`)
+  .join('; ');
+
+/**
+ * Parse an import CSV into request bodies.
+ * Returns { rows: [{ row, body }], unknownColumns }; row là số thứ tự dòng dữ liệu (1 = dòng ngay sau tiêu đề).
+ * Ném lỗi nếu CSV sai định dạng.
+ */
+export const parseJobCsv = (text) => {
+  const [header = [], ...records] = parseCsv(text);
+  const columns = header.map(column => column.trim());
+
+  const rows = records.map((record, index) => {
+    const body = {};
+    columns.forEach((column, position) => {
+      const value = (record[position] || '').trim();
+      if (!JOB_IMPORT_COLUMNS.includes(column) || value === '') return;
+      body[column] = column === 'shifts' ? parseShiftsCell(value) : value;
+    });
+    return { row: index + 1, body };
+  });
+
+  return {
+    rows,
+    unknownColumns: columns.filter(column => column && !JOB_IMPORT_COLUMNS.includes(column))
+  };
+};
+
+// Tin của employer + thống kê ứng tuyển theo trạng thái
+export const buildJobsCsv = (jobs) => toCsv(
+  [
+    'id', 'status', ...EXPORTED_JOB_FIELDS, 'city', 'publishedAt', 'createdAt', 'views',
+    'applicationCount', ...APPLICATION_STATUSES.map(status => `applications_${status}`)
+  ],
+  jobs.map(job => [
+    job._id,
+    job.status,
+    ...EXPORTED_JOB_FIELDS.map(field => {
+      if (field === 'shifts') return formatShifts(job.shifts);
+      return job[field];
+    }),
+    job.city,
+    job.publishedAt,
+    job.createdAt,
+    job.views,
+    job.applicationCount,
+    ...APPLICATION_STATUSES.map(status => job.applicationStatusCounts?.[status] || 0)
+  ])
+);
@@ -0,0 +1,48 @@
+// 📊 Facet cho GET /api/jobs?facets=...
+//
+// facets=true (hoặc all) trả về tất cả, hoặc liệt kê: facets=category,city
+// Định dạng trả về trong data.facets (ổn định, frontend dựa vào):
+//   {
+//     "category":   [{ "value": "Gia sư", "count": 42 }, { "value": "Giao hàng", "count": 17 }],
+//     "jobType":    [...], "experience": [...], "education": [...], "salaryType": [...],
+//     "city":       [{ "value": "Hà Nội", "count": 30 }]
+//   }
+// - Chỉ có các facet được yêu cầu, luôn là mảng (rỗng nếu không có tin nào)
+// - Sắp xếp theo count giảm dần, cùng count thì theo value; bỏ giá trị rỗng; tối đa FACET_BUCKET_LIMIT giá trị
+// - Đếm theo bộ lọc hiện tại, trừ bộ lọc của chính facet đó (đang chọn category=Gia sư
+//   vẫn thấy số tin của các category khác với cùng các bộ lọc còn lại)
+export const JOB_FACETS = ['category', 'jobType', 'experience', 'education', 'salaryType', 'city'];
+const FACET_BUCKET_LIMIT = 30;
+
+// "true" / "all" -> tất cả, "category,city" -> các facet hợp lệ trong danh sách
+export const parseFacetsParam = (value) => {
+  if (!value || value === 'false') return [];
+  if (value === 'true' || value === 'all') return JOB_FACETS;
+
+  const requested = String(value).split(',').map(facet => facet.trim());
+  return JOB_FACETS.filter(facet => requested.includes(facet));
+};
+
+export const isValidFacetsParam = (value) => ['true', 'false', 'all'].includes(value)
+  || String(value).split(',').every(facet => JOB_FACETS.includes(facet.trim()));
+
+/**
+ * Build a $facet stage counting each requested facet.
+ * facetFilters: { [facet]: condition } - điều kiện đang áp dụng cho từng trường facet,
+ * các điều kiện khác phải được $match trước stage này.
+ */
+export const buildFacetStage = (facets, facetFilters = {}) => ({
+  $facet: Object.fromEntries(facets.map(facet => {
+    const otherFilters = Object.entries(facetFilters)
+      .filter(([field]) => field !== facet)
+      .map(([, condition]) => condition);
+
+    return [facet, [
+      { $match: { $and: [...otherFilters, { [facet]: { $nin: [null, ''] } }] } },
+      { $group: { _id: `$${facet}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: FACET_BUCKET_LIMIT },
+      { $project: { _id: 0, value: '$_id', count: 1 } }
+    ]];
+  }))
+});
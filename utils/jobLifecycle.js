@@ -0,0 +1,75 @@
+import Job from '../models/Job.js';
+import Company from '../models/Company.js';
+import { notifyFollowersOfNewJob, notifyFollowersOfNewJobs } from './notifications.js';
+
+let legacyStatusMigrated = false;
+
+// Tin tạo trước khi có status: suy ra từ isActive (chạy 1 lần mỗi process)
+export const migrateLegacyJobStatus = async () => {
+  if (legacyStatusMigrated) return 0;
+
+  const result = await Job.updateMany(
+    { status: { $exists: false } },
+    [{
+      $set: {
+        status: { $cond: ['$isActive', 'published', 'closed'] },
+        publishedAt: '$createdAt'
+      }
+    }]
+  );
+  legacyStatusMigrated = true;
+
+  return result.modifiedCount;
+};
+
+// 📣 Gửi thông báo khi tin được đăng lần đầu
+export const notifyJobPublished = async (job) => {
+  try {
+    const populatedJob = job.populated('company') ? job : await job.populate('company', 'name');
+    if (populatedJob.company) await notifyFollowersOfNewJob(populatedJob, populatedJob.company);
+  } catch (error) {
+    console.error('Notify followers error:', error);
+  }
+};
+
+// 📣 Nhiều tin của cùng 1 công ty được đăng cùng lúc (import): gửi 1 thông báo cho cả đợt
+export const notifyJobsPublished = async (jobs, companyId) => {
+  if (jobs.length === 0) return;
+
+  try {
+    const company = await Company.findById(companyId).select('name');
+    if (company) await notifyFollowersOfNewJobs(jobs, company);
+  } catch (error) {
+    console.error('Notify followers error:', error);
+  }
+};
+
+// ⏰ Đăng các tin đến giờ publishAt và chuyển tin quá hạn nộp sang expired
+export const runJobLifecycleSweep = async () => {
+  const now = new Date();
+  const migrated = await migrateLegacyJobStatus();
+
+  // Đăng từng tin qua save() để chạy hook (jobCount) và gửi thông báo
+  const dueJobs = await Job.find({ status: 'scheduled', publishAt: { $lte: now } });
+  let published = 0;
+  for (const job of dueJobs) {
+    const firstPublish = !job.publishedAt;
+    job.transitionTo('published');
+    await job.save();
+    published++;
+    if (firstPublish) await notifyJobPublished(job);
+  }
+
+  const expiredFilter = { status: { $in: ['published', 'paused'] }, applicationDeadline: { $lte: now } };
+  const companyIds = await Job.distinct('company', expiredFilter);
+  const { modifiedCount: expired } = await Job.updateMany(expiredFilter, {
+    status: 'expired',
+    isActive: false,
+    expiredAt: now
+  });
+
+  // updateMany không chạy hook nên đếm lại jobCount
+  await Promise.all(companyIds.map(companyId => Company.refreshJobCount(companyId)));
+
+  return { migrated, published, expired };
+};
@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+import { escapeRegex, toSearchText } from './text.js';
+
+// 🔎 Tìm kiếm không dấu: Job.searchFields lưu bản bỏ dấu của các trường bên dưới,
+// text index (JOB_SEARCH_INDEX) đánh trên các trường này thay vì trường gốc.
+export const SEARCH_SOURCE_FIELDS = ['title', 'description', 'requirements', 'location', 'skills'];
+export const JOB_SEARCH_INDEX = 'job_search_text';
+
+// Bản bỏ dấu của một trường (skills giữ dạng mảng)
+export const foldSearchField = (field, value) => {
+  if (field === 'skills') return (value || []).map(toSearchText).filter(Boolean);
+  return toSearchText(value);
+};
+
+export const getSearchFields = (job) => Object.fromEntries(
+  SEARCH_SOURCE_FIELDS.map(field => [field, foldSearchField(field, job[field])])
+);
+
+// Điều kiện $text cho chuỗi người dùng nhập ("bán hàng" và "ban hang" cho cùng kết quả)
+export const buildTextSearch = (search) => ({ $search: toSearchText(search) });
+
+// Điểm liên quan của $text, dùng để sắp xếp khi tìm kiếm mà không chọn sortBy
+export const TEXT_SCORE = { $meta: 'textScore' };
+
+// Khớp đầu từ, không dấu: "gia s" khớp "Gia sư Toán"
+export const buildFoldedPrefixRegex = (value) => new RegExp(`(^| )${escapeRegex(toSearchText(value))}`);
+
+// Khớp không dấu, chứa chuỗi: "ha noi" khớp "Cầu Giấy, Hà Nội"
+export const buildFoldedRegex = (value) => new RegExp(escapeRegex(toSearchText(value)));
+
+// Khớp không dấu ở bất kỳ trường tìm kiếm nào (dùng khi không dùng được $text, vd. cùng $geoNear)
+export const buildFoldedSearchFilter = (search) => {
+  const pattern = buildFoldedRegex(search);
+  return {
+    $or: SEARCH_SOURCE_FIELDS.map(field => ({ [`searchFields.${field}`]: pattern }))
+  };
+};
+
+// Gom các giá trị khớp tiền tố, sắp theo số tin (nhiều trước) rồi theo tên
+const rankCompletions = (values, prefixPattern, limit) => {
+  const counts = new Map();
+  values.forEach(value => {
+    const text = typeof value === 'string' ? value.trim() : '';
+    if (!text || !prefixPattern.test(toSearchText(text))) return;
+
+    const key = toSearchText(text);
+    const entry = counts.get(key) || { value: text, count: 0 };
+    entry.count++;
+    counts.set(key, entry);
+  });
+
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, 'vi'))
+    .slice(0, limit)
+    .map(({ value, count }) => ({ value, count }));
+};
+
+/**
+ * Build autocomplete suggestions from candidate jobs ({ title, skills, location }).
+ * Returns { titles, skills, locations }, each [{ value, count }].
+ */
+export const buildSuggestions = (jobs, query, limit = 5) => {
+  const prefixPattern = buildFoldedPrefixRegex(query);
+  return {
+    titles: rankCompletions(jobs.map(job => job.title), prefixPattern, limit),
+    skills: rankCompletions(jobs.flatMap(job => job.skills || []), prefixPattern, limit),
+    locations: rankCompletions(jobs.map(job => job.location), prefixPattern, limit)
+  };
+};
+
+let searchFieldsMigrated = false;
+
+// Bỏ text index cũ (trên trường có dấu), tạo index mới và điền searchFields cho tin cũ (chạy 1 lần mỗi process)
+export const migrateJobSearchFields = async () => {
+  if (searchFieldsMigrated) return 0;
+
+  const Job = mongoose.model('Job');
+  const indexes = await Job.collection.indexes().catch(() => []);
+  const staleTextIndexes = indexes.filter(index => index.key._fts === 'text' && index.name !== JOB_SEARCH_INDEX);
+  for (const index of staleTextIndexes) {
+    await Job.collection.dropIndex(index.name);
+  }
+  if (staleTextIndexes.length > 0) await Job.createIndexes();
+
+  const cursor = Job.find({ 'searchFields.title': { $exists: false } })
+    .select(SEARCH_SOURCE_FIELDS)
+    .lean()
+    .cursor({ batchSize: 500 });
+  let migrated = 0;
+  let operations = [];
+
+  for await (const job of cursor) {
+    operations.push({ updateOne: { filter: { _id: job._id }, update: { $set: { searchFields: getSearchFields(job) } } } });
+    migrated++;
+    if (operations.length >= 500) {
+      await Job.bulkWrite(operations, { ordered: false });
+      operations = [];
+    }
+  }
+  if (operations.length > 0) await Job.bulkWrite(operations, { ordered: false });
+
+  searchFieldsMigrated = true;
+  return migrated;
+};
@@ -0,0 +1,90 @@
+import CompanyFollow from '../models/CompanyFollow.js';
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { sendEmail } from './sendEmail.js';
+import { newJobsDigestEmail } from './emailTemplates.js';
+
+const BATCH_SIZE = 500;
+
+// 🔔 Tạo thông báo tin mới cho người theo dõi công ty (theo cài đặt của từng người)
+export const notifyFollowersOfNewJob = (job, company) => notifyFollowersOfNewJobs([job], company);
+
+// 🔔 Nhiều tin đăng cùng lúc (import CSV): mỗi người theo dõi chỉ nhận 1 thông báo
+export const notifyFollowersOfNewJobs = async (jobs, company) => {
+  if (jobs.length === 0) return 0;
+
+  const [job] = jobs;
+  const title = jobs.length === 1
+    ? `${company.name} posted a new job`
+    : `${company.name} posted ${jobs.length} new jobs`;
+  const message = jobs.length === 1 ? job.title : `${job.title} and ${jobs.length - 1} more`;
+
+  const follows = CompanyFollow.find({ company: company._id }).select('user').lean().cursor({ batchSize: BATCH_SIZE });
+  let userIds = [];
+  let notified = 0;
+
+  const flush = async () => {
+    const users = await User.find({
+      _id: { $in: userIds },
+      isActive: true,
+      'notificationPreferences.companyJobs': { $ne: 'none' }
+    }).select('notificationPreferences');
+
+    const notifications = users.map(user => ({
+      user: user._id,
+      type: 'new_job',
+      title,
+      message,
+      job: job._id,
+      company: company._id,
+      digestPending: user.notificationPreferences?.companyJobs === 'email_digest'
+    }));
+
+    if (notifications.length > 0) {
+      await Notification.insertMany(notifications, { ordered: false });
+      notified += notifications.length;
+    }
+    userIds = [];
+  };
+
+  for await (const follow of follows) {
+    userIds.push(follow.user);
+    if (userIds.length >= BATCH_SIZE) await flush();
+  }
+  if (userIds.length > 0) await flush();
+
+  return notified;
+};
+
+// 📧 Gửi email tổng hợp các thông báo đang chờ, mỗi user 1 email
+export const sendNotificationDigests = async () => {
+  const userIds = await Notification.distinct('user', { digestPending: true });
+  let sent = 0;
+
+  for (const userId of userIds) {
+    const user = await User.findById(userId).select('name email isActive notificationPreferences');
+    const notifications = await Notification.find({ user: userId, digestPending: true })
+      .populate('company', 'name')
+      .populate('job', 'title location salary')
+      .sort({ createdAt: -1 });
+
+    // User đổi ý (không còn chọn email) hoặc tin đã bị xóa thì chỉ giữ thông báo trong app
+    const wantsDigest = user && user.isActive && user.notificationPreferences?.companyJobs === 'email_digest';
+    if (wantsDigest && notifications.some(notification => notification.job)) {
+      try {
+        await sendEmail({ to: user.email, ...newJobsDigestEmail(user, notifications) });
+      } catch (error) {
+        console.error('Send notification digest error:', error);
+        continue;
+      }
+      sent++;
+    }
+
+    await Notification.updateMany(
+      { _id: { $in: notifications.map(n => n._id) } },
+      { digestPending: false, emailedAt: new Date() }
+    );
+  }
+
+  return sent;
+};
@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+
+// Cấu hình provider từ .env, ví dụ:
+// OIDC_PROVIDERS=google,hcmus
+// OIDC_GOOGLE_ISSUER=https://accounts.google.com
+// OIDC_GOOGLE_CLIENT_ID=...
+// OIDC_GOOGLE_CLIENT_SECRET=...
+// OIDC_GOOGLE_DISPLAY_NAME=Google            (tùy chọn)
+// OIDC_GOOGLE_SCOPES=openid email profile    (tùy chọn)
+// OIDC_GOOGLE_REDIRECT_URI=https://api.../api/auth/oidc/google/callback
+//   (tùy chọn nếu có API_URL=https://api... - địa chỉ public của backend; thiếu cả hai thì provider bị tắt)
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const FETCH_TIMEOUT_MS = 10000;
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+export const getOidcProviders = () => {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean)
+    .map(getOidcProvider)
+    .filter(Boolean);
+};
+
+export const getOidcProvider = (name) => {
+  const key = String(name || '').toLowerCase();
+  const enabled = (process.env.OIDC_PROVIDERS || '').split(',').map(p => p.trim().toLowerCase());
+  if (!/^[a-z0-9_-]+$/.test(key) || !enabled.includes(key)) return null;
+
+  const prefix = `OIDC_${key.toUpperCase().replace(/-/g, '_')}_`;
+  const issuer = process.env[`${prefix}ISSUER`];
+  const clientId = process.env[`${prefix}CLIENT_ID`];
+  // Không dựng redirect_uri từ header Host của request (client tự đặt được)
+  const apiUrl = (process.env.API_URL || '').trim().replace(/\/+$/, '');
+  const redirectUri = process.env[`${prefix}REDIRECT_URI`] || (apiUrl && `${apiUrl}/api/auth/oidc/${key}/callback`);
+  if (!issuer || !clientId || !redirectUri) return null;
+
+  return {
+    name: key,
+    displayName: process.env[`${prefix}DISPLAY_NAME`] || key,
+    issuer: issuer.replace(/\/+$/, ''),
+    clientId,
+    clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+    scopes: process.env[`${prefix}SCOPES`] || 'openid email profile',
+    redirectUri
+  };
+};
+
+const fetchJson = async (url, options = {}) => {
+  const response = await fetch(url, { ...options, signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = new Error(`OIDC request to ${url} failed with status ${response.status}`);
+    error.details = body;
+    throw error;
+  }
+
+  return body;
+};
+
+// 🔍 OpenID discovery (cache 1 giờ)
+export const discoverProvider = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.expiresAt > Date.now()) return cached.metadata;
+
+  const metadata = await fetchJson(`${provider.issuer}/.well-known/openid-configuration`);
+  if (metadata.issuer.replace(/\/+$/, '') !== provider.issuer) {
+    throw new Error('OIDC discovery issuer mismatch');
+  }
+
+  discoveryCache.set(provider.issuer, { metadata, expiresAt: Date.now() + CACHE_TTL_MS });
+  return metadata;
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+export const generateRandomToken = () => base64url(crypto.randomBytes(32));
+
+// 🔐 PKCE (S256)
+export const createPkcePair = () => {
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+};
+
+export const buildAuthorizationUrl = (provider, metadata, { state, nonce, codeChallenge, redirectUri }) => {
+  const url = new URL(metadata.authorization_endpoint);
+  url.searchParams.set('response_type', 'code');
+  url.searchParams.set('client_id', provider.clientId);
+  url.searchParams.set('redirect_uri', redirectUri);
+  url.searchParams.set('scope', provider.scopes);
+  url.searchParams.set('state', state);
+  url.searchParams.set('nonce', nonce);
+  url.searchParams.set('code_challenge', codeChallenge);
+  url.searchParams.set('code_challenge_method', 'S256');
+  return url.toString();
+};
+
+export const exchangeAuthorizationCode = async (provider, metadata, { code, codeVerifier, redirectUri }) => {
+  const params = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri,
+    code_verifier: codeVerifier,
+    client_id: provider.clientId
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+
+  // Mặc định client_secret_basic, dùng client_secret_post nếu provider chỉ hỗ trợ cách đó
+  const authMethods = metadata.token_endpoint_auth_methods_supported || ['client_secret_basic'];
+  if (provider.clientSecret) {
+    if (authMethods.includes('client_secret_basic')) {
+      const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+      headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+      params.set('client_secret', provider.clientSecret);
+    }
+  }
+
+  return fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: params });
+};
+
+const getSigningKey = async (metadata, kid) => {
+  let cached = jwksCache.get(metadata.jwks_uri);
+
+  // Không thấy kid (provider xoay khóa) thì tải lại JWKS
+  if (!cached || cached.expiresAt <= Date.now() || !cached.keys.some(key => key.kid === kid)) {
+    const jwks = await fetchJson(metadata.jwks_uri);
+    cached = { keys: jwks.keys || [], expiresAt: Date.now() + CACHE_TTL_MS };
+    jwksCache.set(metadata.jwks_uri, cached);
+  }
+
+  const jwk = kid ? cached.keys.find(key => key.kid === kid) : cached.keys.find(key => key.use !== 'enc');
+  if (!jwk) throw new Error('OIDC signing key not found');
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+// ✅ Xác thực id_token: chữ ký (JWKS), issuer, audience, hạn dùng và nonce
+export const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) throw new Error('Invalid id_token');
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ID_TOKEN_ALGORITHMS,
+    issuer: metadata.issuer,
+    audience: provider.clientId
+  });
+
+  if (claims.nonce !== nonce) throw new Error('OIDC nonce mismatch');
+
+  return claims;
+};
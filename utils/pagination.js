@@ -0,0 +1,138 @@
+import mongoose from 'mongoose';
+
+// 📄 Phân trang cho các danh sách lớn:
+// - page mode (?page=, cũ): skip/limit, trả về { current, pages, total }
+// - cursor mode (?after= / ?before=): keyset theo (sortBy, _id), không bị lệch khi có tin mới, total chỉ khi includeTotal=true
+// Cả 2 mode đều trả nextCursor/prevCursor để client chuyển sang cursor từ trang đầu.
+export const DEFAULT_PAGE_LIMIT = 10;
+export const MAX_PAGE_LIMIT = 100;
+
+export const parseLimit = (value) => Math.min(Math.max(parseInt(value) || DEFAULT_PAGE_LIMIT, 1), MAX_PAGE_LIMIT);
+
+const getValue = (doc, field) => (typeof doc.get === 'function' ? doc.get(field) : doc[field]);
+
+// Cursor là base64url của { f: sortBy, o: 1 | -1, v: giá trị, id: _id }; Date lưu dạng { d: ISO }
+export const encodeCursor = (doc, field, direction) => {
+  const value = getValue(doc, field);
+  const payload = {
+    f: field,
+    o: direction,
+    v: value instanceof Date ? { d: value.toISOString() } : (value ?? null),
+    id: String(doc._id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Giải mã cursor, null nếu sai định dạng hoặc không khớp với cách sắp xếp hiện tại
+export const decodeCursor = (cursor, field, direction) => {
+  try {
+    const { f, o, v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (f !== field || o !== direction || !mongoose.Types.ObjectId.isValid(id)) return null;
+
+    let value = v;
+    if (v !== null && typeof v === 'object') {
+      // Chỉ chấp nhận object dạng ngày, không cho chèn toán tử truy vấn
+      if (Object.keys(v).length !== 1 || typeof v.d !== 'string' || Number.isNaN(Date.parse(v.d))) return null;
+      value = new Date(v.d);
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Điều kiện "đứng sau cursor" theo thứ tự sắp xếp (null/thiếu trường đứng đầu khi tăng dần, như MongoDB)
+const buildKeysetFilter = (field, direction, { value, id }) => {
+  const sameValue = { [field]: value, _id: { [direction === 1 ? '$gt' : '$lt']: id } };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: { $ne: null } }, sameValue] }
+      : sameValue;
+  }
+
+  return direction === 1
+    ? { $or: [{ [field]: { $gt: value } }, sameValue] }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }, sameValue] };
+};
+
+/**
+ * Paginated find in page or cursor mode.
+ * options: { sortField, sortOrder, page, limit, after, before, includeTotal, projection, buildQuery }
+ * buildQuery(query) thêm populate/select cho truy vấn.
+ * Returns { items, pagination }, or null when the cursor is invalid.
+ */
+export const paginate = async (Model, filter, {
+  sortField,
+  sortOrder = 'desc',
+  page = 1,
+  limit = DEFAULT_PAGE_LIMIT,
+  after,
+  before,
+  includeTotal,
+  projection = null,
+  buildQuery = (query) => query
+}) => {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  const pageLimit = parseLimit(limit);
+  const withTotal = (defaultValue) => (includeTotal === undefined ? defaultValue : String(includeTotal) === 'true');
+
+  if (after || before) {
+    const cursor = decodeCursor(after || before, sortField, direction);
+    if (!cursor) return null;
+
+    // before: đọc ngược từ cursor rồi đảo lại thứ tự
+    const backwards = !after;
+    const scanDirection = backwards ? -direction : direction;
+    const keyset = buildKeysetFilter(sortField, scanDirection, cursor);
+    const query = { ...filter, $and: [...(filter.$and || []), keyset] };
+
+    const [found, total] = await Promise.all([
+      buildQuery(Model.find(query, projection))
+        .sort({ [sortField]: scanDirection, _id: scanDirection })
+        .limit(pageLimit + 1),
+      withTotal(false) ? Model.countDocuments(filter) : undefined
+    ]);
+
+    const hasMore = found.length > pageLimit;
+    const items = found.slice(0, pageLimit);
+    if (backwards) items.reverse();
+
+    const first = items[0];
+    const last = items[items.length - 1];
+    return {
+      items,
+      pagination: {
+        limit: pageLimit,
+        nextCursor: last && (backwards || hasMore) ? encodeCursor(last, sortField, direction) : null,
+        prevCursor: first && (!backwards || hasMore) ? encodeCursor(first, sortField, direction) : null,
+        ...(total !== undefined && { total })
+      }
+    };
+  }
+
+  const current = Math.max(parseInt(page) || 1, 1);
+  const skip = (current - 1) * pageLimit;
+  const [items, total] = await Promise.all([
+    buildQuery(Model.find(filter, projection))
+      .sort({ [sortField]: direction, _id: direction })
+      .skip(skip)
+      .limit(pageLimit),
+    withTotal(true) ? Model.countDocuments(filter) : undefined
+  ]);
+
+  const first = items[0];
+  const last = items[items.length - 1];
+  const hasNext = items.length === pageLimit && (total === undefined || skip + items.length < total);
+  return {
+    items,
+    pagination: {
+      current,
+      ...(total !== undefined && { pages: Math.ceil(total / pageLimit), total }),
+      limit: pageLimit,
+      nextCursor: last && hasNext ? encodeCursor(last, sortField, direction) : null,
+      prevCursor: first && current > 1 ? encodeCursor(first, sortField, direction) : null
+    }
+  };
+};
@@ -0,0 +1,104 @@
+import Company from '../models/Company.js';
+import Job from '../models/Job.js';
+import Application from '../models/Application.js';
+import CompanyFollow from '../models/CompanyFollow.js';
+
+const APPLICATION_STATUSES = ['pending', 'reviewed', 'shortlisted', 'rejected', 'accepted'];
+const BATCH_SIZE = 500;
+// Giới hạn số sai lệch liệt kê trong báo cáo (vẫn sửa hết)
+const MAX_REPORTED = 100;
+
+const createSection = () => ({ checked: 0, fixed: 0, discrepancies: [] });
+
+const recordDiscrepancy = (section, id, field, from, to) => {
+  if (section.discrepancies.length < MAX_REPORTED) {
+    section.discrepancies.push({ id, field, from, to });
+  }
+};
+
+const toCountMap = (stats) => new Map(stats.map(stat => [stat._id.toString(), stat.count]));
+
+// Duyệt collection theo lô, ghi các bản sửa bằng bulkWrite
+const reconcileCollection = async (Model, fields, section, computeExpected, dryRun) => {
+  const cursor = Model.find().select(fields).lean().cursor({ batchSize: BATCH_SIZE });
+  let operations = [];
+
+  const flush = async () => {
+    if (!dryRun && operations.length > 0) await Model.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    section.checked++;
+    const expected = computeExpected(doc);
+    const changes = {};
+
+    Object.entries(expected).forEach(([field, value]) => {
+      const current = field.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), doc);
+      if (current !== value) {
+        recordDiscrepancy(section, doc._id, field, current ?? null, value);
+        changes[field] = value;
+      }
+    });
+
+    if (Object.keys(changes).length > 0) {
+      section.fixed++;
+      operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: changes } } });
+      if (operations.length >= BATCH_SIZE) await flush();
+    }
+  }
+
+  await flush();
+};
+
+// 🔧 Đếm lại jobCount, followerCount (Company) và applicationCount, applicationStatusCounts, views (Job)
+// từ các collection gốc. dryRun: chỉ báo cáo, không ghi.
+export const reconcileCounters = async ({ dryRun = false } = {}) => {
+  const startedAt = new Date();
+  const report = { dryRun, companies: createSection(), jobs: createSection() };
+
+  const [jobStats, followerStats, applicationStats] = await Promise.all([
+    Job.aggregate([
+      { $match: { isActive: true } },
+      { $group: { _id: '$company', count: { $sum: 1 } } }
+    ]),
+    CompanyFollow.aggregate([{ $group: { _id: '$company', count: { $sum: 1 } } }]),
+    Application.aggregate([{ $group: { _id: { job: '$job', status: '$status' }, count: { $sum: 1 } } }])
+  ]);
+
+  const jobCounts = toCountMap(jobStats);
+  const followerCounts = toCountMap(followerStats);
+  const applicationCounts = new Map();
+  applicationStats.forEach(({ _id, count }) => {
+    const key = _id.job.toString();
+    if (!applicationCounts.has(key)) applicationCounts.set(key, {});
+    applicationCounts.get(key)[_id.status] = count;
+  });
+
+  await reconcileCollection(Company, 'jobCount followerCount', report.companies, (company) => ({
+    jobCount: jobCounts.get(company._id.toString()) || 0,
+    followerCount: followerCounts.get(company._id.toString()) || 0
+  }), dryRun);
+
+  await reconcileCollection(Job, 'applicationCount applicationStatusCounts views', report.jobs, (job) => {
+    const byStatus = applicationCounts.get(job._id.toString()) || {};
+    const expected = {
+      applicationCount: Object.values(byStatus).reduce((sum, count) => sum + count, 0),
+      // Lượt xem không có nguồn để đếm lại, chỉ sửa giá trị hỏng
+      views: Number.isInteger(job.views) && job.views >= 0 ? job.views : 0
+    };
+    APPLICATION_STATUSES.forEach(status => {
+      expected[`applicationStatusCounts.${status}`] = byStatus[status] || 0;
+    });
+    return expected;
+  }, dryRun);
+
+  report.durationMs = Date.now() - startedAt.getTime();
+  return report;
+};
+
+export const summarizeReconciliation = (report) => {
+  const verb = report.dryRun ? 'would fix' : 'fixed';
+  return `companies: ${report.companies.checked} checked, ${report.companies.fixed} ${verb}; ` +
+    `jobs: ${report.jobs.checked} checked, ${report.jobs.fixed} ${verb}`;
+};
@@ -0,0 +1,169 @@
+// 💰 Phân tích lương dạng chữ: "30,000 VND/giờ", "25-30k/h", "5tr/tháng", "Từ 7 triệu", "Thương lượng"...
+export const SALARY_TYPES = ['hourly', 'daily', 'monthly', 'project'];
+
+// Quy đổi sang lương theo giờ để so sánh giữa các loại
+export const HOURS_PER_UNIT = {
+  hourly: 1,
+  daily: 8,
+  monthly: 8 * 22
+};
+
+const UNIT_PATTERNS = [
+  { type: 'hourly', pattern: /\/\s*(h|giờ|gio|tiếng|tieng|hour|hr)(?!\p{L})|(theo|mỗi|moi|per)\s*(giờ|gio|tiếng|tieng|hour)/u },
+  { type: 'daily', pattern: /\/\s*(ngày|ngay|day|ca|buổi|buoi|shift)(?!\p{L})|(theo|mỗi|moi|per)\s*(ngày|ngay|day|ca|buổi|buoi|shift)/u },
+  { type: 'monthly', pattern: /\/\s*(tháng|thang|th|month|mo)(?!\p{L})|(theo|mỗi|moi|per)\s*(tháng|thang|month)/u },
+  { type: 'project', pattern: /\/\s*(dự án|du an|project|việc|viec|job|sản phẩm|san pham)(?!\p{L})|(theo|mỗi|moi|per)\s*(dự án|du an|project|sản phẩm|san pham)/u }
+];
+
+const MULTIPLIERS = [
+  { value: 1000000, suffixes: ['triệu', 'trieu', 'tr', 'million', 'mil', 'm'] },
+  { value: 1000, suffixes: ['nghìn', 'nghin', 'ngàn', 'ngan', 'k'] }
+];
+
+// Số kèm hậu tố: "30,000", "30.000đ", "5,5tr", "1.5 triệu", "25k"
+const AMOUNT_PATTERN = /(\d+(?:[.,]\d+)*)(?:\s*(triệu|trieu|tr|million|mil|m|nghìn|nghin|ngàn|ngan|k)(?!\p{L}))?/gu;
+
+const RANGE_SEPARATOR = /^\s*(-|–|~|đến|den|tới|toi|to)\s*$/;
+
+// "1tr5" = 1,5 triệu
+const SHORT_MILLION_PATTERN = /(\d+)\s*(?:triệu|trieu|tr)\s*(\d{1,3})(?![\d.,])/gu;
+
+const parseNumber = (raw) => {
+  const groups = raw.split(/[.,]/);
+
+  // "30,000" / "1.500.000": dấu phân cách hàng nghìn
+  if (groups.length > 1 && groups.slice(1).every(group => group.length === 3)) {
+    return parseInt(groups.join(''), 10);
+  }
+
+  // "5,5" / "1.5": số thập phân
+  if (groups.length === 2) return parseFloat(`${groups[0]}.${groups[1]}`);
+
+  return parseInt(groups.join(''), 10);
+};
+
+const getMultiplier = (suffix) => {
+  if (!suffix) return null;
+  const match = MULTIPLIERS.find(({ suffixes }) => suffixes.includes(suffix));
+  return match ? match.value : null;
+};
+
+// Số tiền nhỏ hơn mức này (VND) coi như không phải lương
+const MIN_AMOUNT = 1000;
+
+// Không ghi đơn vị thì đoán theo độ lớn
+const guessSalaryType = (amount) => {
+  if (amount < 200000) return 'hourly';
+  if (amount < 1500000) return 'daily';
+  return 'monthly';
+};
+
+/**
+ * Parse free-text salary into { salaryMin, salaryMax, salaryType }.
+ * Returns null when no amount can be found (e.g. "Thương lượng").
+ */
+export const parseSalary = (text) => {
+  if (!text || typeof text !== 'string') return null;
+
+  const normalized = text.toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(SHORT_MILLION_PATTERN, (match, whole, fraction) => `${Number(whole) + Number(fraction) / 10 ** fraction.length}tr`)
+    .trim();
+  const matches = [...normalized.matchAll(AMOUNT_PATTERN)].map(match => ({
+    number: parseNumber(match[1]),
+    multiplier: getMultiplier(match[2]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+
+  // "25-30k": số đầu khoảng không có hậu tố thì dùng hậu tố của số cuối khoảng
+  const amounts = matches
+    .map(({ number, multiplier, end }, index) => {
+      const next = matches[index + 1];
+      const isRange = next && RANGE_SEPARATOR.test(normalized.slice(end, next.start));
+      const inherited = !multiplier && isRange ? next.multiplier : null;
+      return Math.round(number * (multiplier || inherited || 1));
+    })
+    // Bỏ các số không phải tiền ("8h-12h", "40 ngày")
+    .filter(amount => Number.isFinite(amount) && amount >= MIN_AMOUNT)
+    .slice(0, 2);
+
+  if (amounts.length === 0) return null;
+
+  let salaryMin = amounts[0];
+  let salaryMax = amounts.length > 1 ? amounts[1] : amounts[0];
+  if (salaryMin > salaryMax) [salaryMin, salaryMax] = [salaryMax, salaryMin];
+
+  // "Từ 7 triệu" chỉ có mức tối thiểu, "Tối đa 8 triệu" chỉ có mức tối đa
+  if (amounts.length === 1) {
+    if (/(^|\s)(từ|tu|from|trên|tren|over|min)\s/.test(normalized)) salaryMax = null;
+    else if (/(^|\s)(đến|den|tới|toi|tối đa|toi da|up to|max|dưới|duoi)\s/.test(normalized)) salaryMin = null;
+  }
+
+  const unit = UNIT_PATTERNS.find(({ pattern }) => pattern.test(normalized));
+  const salaryType = unit ? unit.type : guessSalaryType(salaryMax ?? salaryMin);
+
+  return { salaryMin, salaryMax, salaryType };
+};
+
+// Đổi số tiền theo loại lương sang lương theo giờ (null với lương theo dự án)
+export const toHourlyAmount = (amount, salaryType) => {
+  if (amount == null || !HOURS_PER_UNIT[salaryType]) return null;
+  return Math.round(amount / HOURS_PER_UNIT[salaryType]);
+};
+
+// Các trường lương chuẩn hóa lưu vào Job
+// Không đọc được lương ("Thương lượng") thì salaryType = null để không khớp bộ lọc / facet loại lương nào
+export const getSalaryFields = (text) => {
+  const parsed = parseSalary(text);
+  if (!parsed) {
+    return { salaryMin: null, salaryMax: null, salaryType: null, salaryHourlyMin: null, salaryHourlyMax: null };
+  }
+
+  return {
+    ...parsed,
+    salaryHourlyMin: toHourlyAmount(parsed.salaryMin, parsed.salaryType),
+    salaryHourlyMax: toHourlyAmount(parsed.salaryMax, parsed.salaryType)
+  };
+};
+
+// 🔎 Điều kiện lọc lương: salaryMin/salaryMax tính theo đơn vị của salaryType (mặc định theo giờ)
+// includeType=false: chỉ lọc theo mức lương, không lọc loại lương (dùng khi đếm facet salaryType)
+export const buildSalaryFilter = ({ salaryMin, salaryMax, salaryType }, { includeType = true } = {}) => {
+  const conditions = [];
+  const type = SALARY_TYPES.includes(salaryType) ? salaryType : null;
+  if (type && includeType) conditions.push({ salaryType: type });
+
+  // Lương theo dự án không quy đổi theo giờ được nên so sánh trực tiếp
+  const useRawAmounts = type === 'project';
+  const minField = useRawAmounts ? 'salaryMin' : 'salaryHourlyMin';
+  const maxField = useRawAmounts ? 'salaryMax' : 'salaryHourlyMax';
+  const normalize = (value) => {
+    const amount = parseFloat(value);
+    if (!Number.isFinite(amount) || amount < 0) return null;
+    return useRawAmounts ? amount : toHourlyAmount(amount, type || 'hourly');
+  };
+
+  const min = normalize(salaryMin);
+  const max = normalize(salaryMax);
+
+  // Khoảng lương của tin phải giao với khoảng cần tìm (thiếu một đầu = không giới hạn phía đó)
+  if (min != null) {
+    conditions.push({
+      $or: [
+        { [maxField]: { $gte: min } },
+        { [maxField]: null, [minField]: { $ne: null } }
+      ]
+    });
+  }
+  if (max != null) {
+    conditions.push({
+      $or: [
+        { [minField]: { $lte: max } },
+        { [minField]: null, [maxField]: { $ne: null } }
+      ]
+    });
+  }
+
+  return conditions;
+};
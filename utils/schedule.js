@@ -0,0 +1,79 @@
+// 🗓️ Lịch theo tuần: ca làm của tin (Job.shifts) và lịch rảnh của sinh viên (User.availability).
+// Mỗi khoảng { dayOfWeek, startTime, endTime } được quy ra các ô 30 phút trong tuần (0..335)
+// để so khớp bằng $setIntersection / $setIsSubset trong MongoDB.
+export const DAYS_OF_WEEK = [0, 1, 2, 3, 4, 5, 6]; // 0 = Chủ nhật, như Date.getDay()
+export const SLOT_MINUTES = 30;
+export const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+export const MAX_WEEKLY_SLOTS = 21;
+
+const SLOTS_PER_DAY = (24 * 60) / SLOT_MINUTES;
+
+// "08:30" -> 510
+export const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Khoảng hợp lệ: ngày 0-6, giờ HH:mm, kết thúc sau bắt đầu trong cùng ngày (ca qua đêm tách làm 2)
+export const isValidWeeklySlot = (slot) => Boolean(slot)
+  && DAYS_OF_WEEK.includes(Number(slot.dayOfWeek))
+  && TIME_PATTERN.test(slot.startTime)
+  && TIME_PATTERN.test(slot.endTime)
+  && toMinutes(slot.endTime) > toMinutes(slot.startTime);
+
+export const areValidWeeklySlots = (slots) => Array.isArray(slots)
+  && slots.length <= MAX_WEEKLY_SLOTS
+  && slots.every(isValidWeeklySlot);
+
+const toSlotIndexes = ({ dayOfWeek }, first, last) => {
+  const indexes = [];
+  for (let slot = first; slot < last; slot++) indexes.push(Number(dayOfWeek) * SLOTS_PER_DAY + slot);
+  return indexes;
+};
+
+// Ca làm chiếm các ô mà nó chạm vào (08:15-10:00 chiếm cả ô 08:00-08:30)
+export const getShiftSlots = (shift) => toSlotIndexes(
+  shift,
+  Math.floor(toMinutes(shift.startTime) / SLOT_MINUTES),
+  Math.ceil(toMinutes(shift.endTime) / SLOT_MINUTES)
+);
+
+// Lịch rảnh chỉ tính các ô rảnh trọn vẹn, gộp và sắp xếp
+export const getAvailabilitySlots = (availability = []) => [...new Set(availability.flatMap(slot => toSlotIndexes(
+  slot,
+  Math.ceil(toMinutes(slot.startTime) / SLOT_MINUTES),
+  Math.floor(toMinutes(slot.endTime) / SLOT_MINUTES)
+)))].sort((a, b) => a - b);
+
+/**
+ * Aggregation stages keeping jobs whose shifts overlap the given availability slots.
+ * Adds availabilityMatch: { overlapMinutes, matchingShifts } (số phút trùng lịch, số ca làm được trọn vẹn);
+ * tin có minShiftsPerWeek chỉ giữ lại khi sinh viên làm được đủ số ca đó.
+ */
+export const buildAvailabilityStages = (availableSlots) => [
+  { $match: { 'shifts.0': { $exists: true } } },
+  {
+    $addFields: {
+      availabilityMatch: {
+        overlapMinutes: {
+          $multiply: [{ $size: { $setIntersection: [{ $ifNull: ['$shiftSlots', []] }, availableSlots] } }, SLOT_MINUTES]
+        },
+        matchingShifts: {
+          $size: {
+            $filter: {
+              input: '$shifts',
+              as: 'shift',
+              cond: { $setIsSubset: [{ $ifNull: ['$$shift.slots', []] }, availableSlots] }
+            }
+          }
+        }
+      }
+    }
+  },
+  {
+    $match: {
+      'availabilityMatch.overlapMinutes': { $gt: 0 },
+      $expr: { $gte: ['$availabilityMatch.matchingShifts', { $ifNull: ['$minShiftsPerWeek', 0] }] }
+    }
+  }
+];
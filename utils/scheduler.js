@@ -0,0 +1,67 @@
+import { sendNotificationDigests } from './notifications.js';
+import { reconcileCounters, summarizeReconciliation } from './reconcileCounters.js';
+import { runJobLifecycleSweep } from './jobLifecycle.js';
+
+// ⏰ Tác vụ nền chạy định kỳ trong process (tắt bằng DISABLE_SCHEDULER=true)
+// Chạy nhiều instance thì chỉ bật scheduler ở một instance.
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const tasks = [
+  {
+    name: 'job-lifecycle',
+    interval: () => (parseFloat(process.env.JOB_SWEEP_INTERVAL_MINUTES) || 5) * MINUTE,
+    runOnStart: true,
+    run: async () => {
+      const { migrated, published, expired } = await runJobLifecycleSweep();
+      return `${published} published, ${expired} expired${migrated ? `, ${migrated} legacy job(s) migrated` : ''}`;
+    }
+  },
+  {
+    name: 'notification-digest',
+    interval: () => (parseFloat(process.env.DIGEST_INTERVAL_HOURS) || 24) * HOUR,
+    run: async () => {
+      const sent = await sendNotificationDigests();
+      return `${sent} digest email(s) sent`;
+    }
+  },
+  {
+    name: 'counter-reconciliation',
+    interval: () => (parseFloat(process.env.COUNTER_RECONCILE_INTERVAL_HOURS) || 6) * HOUR,
+    run: async () => summarizeReconciliation(await reconcileCounters())
+  }
+];
+
+const timers = [];
+
+const runTask = async (task) => {
+  // Bỏ qua nếu lần chạy trước chưa xong
+  if (task.running) return;
+  task.running = true;
+
+  try {
+    const result = await task.run();
+    console.log(`⏰ [${task.name}] ${result}`);
+  } catch (error) {
+    console.error(`❌ [${task.name}] failed:`, error);
+  } finally {
+    task.running = false;
+  }
+};
+
+export const startScheduler = () => {
+  if (process.env.DISABLE_SCHEDULER === 'true' || timers.length > 0) return;
+
+  tasks.forEach(task => {
+    if (task.runOnStart) runTask(task);
+    const timer = setInterval(() => runTask(task), task.interval());
+    timer.unref();
+    timers.push(timer);
+  });
+
+  console.log(`⏰ Scheduler started: ${tasks.map(task => task.name).join(', ')}`);
+};
+
+export const stopScheduler = () => {
+  timers.splice(0).forEach(clearInterval);
+};
@@ -0,0 +1,45 @@
+import nodemailer from 'nodemailer';
+
+let transporter = null;
+
+// Tạo transporter theo cấu hình .env (đọc lúc gửi để dotenv kịp load)
+// EMAIL_TRANSPORT=json: không gửi thật, in nội dung email ra console (dùng khi test)
+// SMTP_HOST=localhost + SMTP_PORT=1025: gửi vào SMTP catcher local (MailHog, Mailpit...)
+const createTransporter = () => {
+  if (process.env.EMAIL_TRANSPORT === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+};
+
+export const sendEmail = async ({ to, subject, text, html }) => {
+  if (!transporter) {
+    transporter = createTransporter();
+  }
+
+  const info = await transporter.sendMail({
+    from: `"${process.env.FROM_NAME || 'PartTimeJob'}" <${process.env.FROM_EMAIL || process.env.SMTP_USER || 'no-reply@parttimejob.local'}>`,
+    to,
+    subject,
+    text,
+    html
+  });
+
+  if (process.env.EMAIL_TRANSPORT === 'json') {
+    console.log('📧 Email (json transport):', info.message);
+  }
+
+  return info;
+};
+
+export const getClientUrl = () => {
+  return (process.env.CLIENT_URL || 'http://localhost:5173').trim().replace(/\/+$/, '');
+};
@@ -0,0 +1,15 @@
+// Escape ký tự đặc biệt trước khi đưa input của người dùng vào RegExp
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Bỏ dấu tiếng Việt + chữ thường: "Quận Bình Thạnh" -> "quan binh thanh"
+export const foldVietnamese = (value) => String(value ?? '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/đ/g, 'd')
+  .replace(/Đ/g, 'D')
+  .toLowerCase();
+
+// Chuỗi dùng để tìm kiếm/so khớp: bỏ dấu, chỉ giữ chữ và số ("Q.1, TP.HCM" -> "q 1 tp hcm")
+export const toSearchText = (value) => foldVietnamese(value)
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
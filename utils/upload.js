@@ -4,7 +4,7 @@ import fs from 'fs';
 
 // Ensure upload directories exist
 const createUploadDirs = () => {
-  const dirs = ['uploads/avatars', 'uploads/resumes', 'uploads/company'];
+  const dirs = ['uploads/avatars', 'uploads/resumes', 'uploads/company', 'uploads/verification'];
   dirs.forEach(dir => {
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true });
@@ -47,6 +47,17 @@ const companyStorage = multer.diskStorage({
   }
 });
 
+// Configure storage for company verification documents (không public)
+const verificationStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, 'uploads/verification/');
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
+    cb(null, 'verification-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
 // File filter
 const fileFilter = (req, file, cb) => {
   if (file.mimetype.startsWith('image/')) {
@@ -86,3 +97,52 @@ export const uploadCompany = multer({
   fileFilter,
   limits: { fileSize: 5 * 1024 * 1024 } // 5MB
 });
+
+export const uploadVerificationDocuments = multer({
+  storage: verificationStorage,
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PDF files are allowed for verification documents'), false);
+    }
+  },
+  limits: { fileSize: 10 * 1024 * 1024, files: 5 } // 10MB, tối đa 5 file
+});
+
+// CSV nhập tin hàng loạt: đọc trong bộ nhớ, không lưu file
+export const uploadCsv = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const isCsv = ['text/csv', 'application/vnd.ms-excel'].includes(file.mimetype)
+      || path.extname(file.originalname).toLowerCase() === '.csv';
+    if (isCsv) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV files are allowed'), false);
+    }
+  },
+  limits: { fileSize: 2 * 1024 * 1024, files: 1 } // 2MB
+});
+
+// 📂 Đổi đường dẫn public (/uploads/...) sang đường dẫn trên đĩa, null nếu nằm ngoài thư mục uploads
+export const resolveUploadPath = (publicPath) => {
+  if (!publicPath || !publicPath.startsWith('/uploads/')) return null;
+
+  const uploadsRoot = path.resolve('uploads');
+  const filePath = path.resolve(publicPath.slice(1));
+
+  return filePath.startsWith(uploadsRoot + path.sep) ? filePath : null;
+};
+
+// 🗑️ Xóa file đã upload (bỏ qua nếu file không còn)
+export const deleteUploadedFile = async (publicPath) => {
+  const filePath = resolveUploadPath(publicPath);
+  if (!filePath) return;
+
+  try {
+    await fs.promises.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
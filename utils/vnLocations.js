@@ -0,0 +1,147 @@
+// 🗺️ Tọa độ (trung tâm hành chính) các tỉnh/thành và một số quận/huyện, dùng để geocode offline.
+// aliases: các cách viết thường gặp (không dấu, viết tắt), so khớp sau khi đã bỏ dấu.
+export const VN_PROVINCES = [
+  {
+    name: 'TP Hồ Chí Minh', lat: 10.7769, lng: 106.7009,
+    aliases: ['ho chi minh', 'tp hcm', 'tphcm', 'hcm', 'hcmc', 'sai gon', 'saigon'],
+    districts: [
+      { name: 'Quận 1', lat: 10.7756, lng: 106.7004, number: 1 },
+      { name: 'Quận 3', lat: 10.7843, lng: 106.6844, number: 3 },
+      { name: 'Quận 4', lat: 10.7578, lng: 106.7013, number: 4 },
+      { name: 'Quận 5', lat: 10.7540, lng: 106.6634, number: 5 },
+      { name: 'Quận 6', lat: 10.7480, lng: 106.6352, number: 6 },
+      { name: 'Quận 7', lat: 10.7340, lng: 106.7218, number: 7 },
+      { name: 'Quận 8', lat: 10.7240, lng: 106.6286, number: 8 },
+      { name: 'Quận 10', lat: 10.7679, lng: 106.6668, number: 10 },
+      { name: 'Quận 11', lat: 10.7629, lng: 106.6503, number: 11 },
+      { name: 'Quận 12', lat: 10.8672, lng: 106.6413, number: 12 },
+      // Quận 2, 9 cũ nay thuộc TP Thủ Đức
+      { name: 'Quận 2', lat: 10.7872, lng: 106.7498, number: 2 },
+      { name: 'Quận 9', lat: 10.8428, lng: 106.8287, number: 9 },
+      { name: 'Thủ Đức', lat: 10.8494, lng: 106.7537 },
+      { name: 'Bình Thạnh', lat: 10.8106, lng: 106.7091 },
+      { name: 'Phú Nhuận', lat: 10.7992, lng: 106.6803 },
+      { name: 'Gò Vấp', lat: 10.8387, lng: 106.6653 },
+      { name: 'Tân Bình', lat: 10.8015, lng: 106.6527 },
+      { name: 'Tân Phú', lat: 10.7901, lng: 106.6282 },
+      { name: 'Bình Tân', lat: 10.7652, lng: 106.6039 },
+      { name: 'Nhà Bè', lat: 10.6953, lng: 106.7046 },
+      { name: 'Bình Chánh', lat: 10.6874, lng: 106.5938 },
+      { name: 'Hóc Môn', lat: 10.8863, lng: 106.5923 },
+      { name: 'Củ Chi', lat: 10.9733, lng: 106.4933 },
+      { name: 'Cần Giờ', lat: 10.4114, lng: 106.9536 }
+    ]
+  },
+  {
+    name: 'Hà Nội', lat: 21.0285, lng: 105.8542,
+    aliases: ['hanoi', 'hn'],
+    districts: [
+      { name: 'Hoàn Kiếm', lat: 21.0288, lng: 105.8525 },
+      { name: 'Ba Đình', lat: 21.0341, lng: 105.8140 },
+      { name: 'Đống Đa', lat: 21.0181, lng: 105.8290 },
+      { name: 'Hai Bà Trưng', lat: 21.0059, lng: 105.8575 },
+      { name: 'Cầu Giấy', lat: 21.0362, lng: 105.7906 },
+      { name: 'Thanh Xuân', lat: 20.9935, lng: 105.8144 },
+      { name: 'Tây Hồ', lat: 21.0702, lng: 105.8188 },
+      { name: 'Hoàng Mai', lat: 20.9745, lng: 105.8636 },
+      { name: 'Long Biên', lat: 21.0471, lng: 105.8887 },
+      { name: 'Hà Đông', lat: 20.9714, lng: 105.7788 },
+      { name: 'Nam Từ Liêm', lat: 21.0124, lng: 105.7650 },
+      { name: 'Bắc Từ Liêm', lat: 21.0697, lng: 105.7570 },
+      { name: 'Gia Lâm', lat: 21.0196, lng: 105.9382 },
+      { name: 'Đông Anh', lat: 21.1369, lng: 105.8490 },
+      { name: 'Thanh Trì', lat: 20.9417, lng: 105.8461 }
+    ]
+  },
+  {
+    name: 'Đà Nẵng', lat: 16.0544, lng: 108.2022,
+    aliases: ['danang'],
+    districts: [
+      { name: 'Hải Châu', lat: 16.0600, lng: 108.2170 },
+      { name: 'Thanh Khê', lat: 16.0640, lng: 108.1880 },
+      { name: 'Sơn Trà', lat: 16.0860, lng: 108.2430 },
+      { name: 'Ngũ Hành Sơn', lat: 16.0010, lng: 108.2530 },
+      { name: 'Liên Chiểu', lat: 16.0720, lng: 108.1500 },
+      { name: 'Cẩm Lệ', lat: 16.0150, lng: 108.1960 },
+      { name: 'Hòa Vang', lat: 15.9880, lng: 108.0900 }
+    ]
+  },
+  {
+    name: 'Cần Thơ', lat: 10.0452, lng: 105.7469,
+    districts: [
+      { name: 'Ninh Kiều', lat: 10.0340, lng: 105.7680 },
+      { name: 'Cái Răng', lat: 9.9990, lng: 105.7800 },
+      { name: 'Bình Thủy', lat: 10.0700, lng: 105.7400 }
+    ]
+  },
+  { name: 'Hải Phòng', lat: 20.8449, lng: 106.6881 },
+  { name: 'An Giang', lat: 10.3860, lng: 105.4352, districts: [{ name: 'Long Xuyên', lat: 10.3860, lng: 105.4352 }] },
+  {
+    name: 'Bà Rịa - Vũng Tàu', lat: 10.4963, lng: 107.1684,
+    aliases: ['ba ria vung tau', 'brvt'],
+    districts: [{ name: 'Vũng Tàu', lat: 10.3460, lng: 107.0843 }, { name: 'Bà Rịa', lat: 10.4963, lng: 107.1684 }]
+  },
+  { name: 'Bắc Giang', lat: 21.2731, lng: 106.1946 },
+  { name: 'Bắc Kạn', lat: 22.1470, lng: 105.8348, aliases: ['bac can'] },
+  { name: 'Bạc Liêu', lat: 9.2941, lng: 105.7278 },
+  { name: 'Bắc Ninh', lat: 21.1861, lng: 106.0763 },
+  { name: 'Bến Tre', lat: 10.2434, lng: 106.3756 },
+  { name: 'Bình Định', lat: 13.7820, lng: 109.2196, districts: [{ name: 'Quy Nhơn', lat: 13.7820, lng: 109.2196 }] },
+  {
+    name: 'Bình Dương', lat: 10.9804, lng: 106.6519,
+    districts: [
+      { name: 'Thủ Dầu Một', lat: 10.9804, lng: 106.6519 },
+      { name: 'Dĩ An', lat: 10.9068, lng: 106.7690 },
+      { name: 'Thuận An', lat: 10.9254, lng: 106.7130 }
+    ]
+  },
+  { name: 'Bình Phước', lat: 11.5349, lng: 106.8832 },
+  { name: 'Bình Thuận', lat: 10.9289, lng: 108.1021, districts: [{ name: 'Phan Thiết', lat: 10.9289, lng: 108.1021 }] },
+  { name: 'Cà Mau', lat: 9.1769, lng: 105.1524 },
+  { name: 'Cao Bằng', lat: 22.6657, lng: 106.2579 },
+  { name: 'Đắk Lắk', lat: 12.6667, lng: 108.0500, aliases: ['dak lak', 'daklak'], districts: [{ name: 'Buôn Ma Thuột', lat: 12.6667, lng: 108.0500, aliases: ['bmt'] }] },
+  { name: 'Đắk Nông', lat: 12.0042, lng: 107.6907, aliases: ['dak nong'] },
+  { name: 'Điện Biên', lat: 21.3856, lng: 103.0169 },
+  { name: 'Đồng Nai', lat: 10.9574, lng: 106.8427, districts: [{ name: 'Biên Hòa', lat: 10.9574, lng: 106.8427 }] },
+  { name: 'Đồng Tháp', lat: 10.4602, lng: 105.6329 },
+  { name: 'Gia Lai', lat: 13.9833, lng: 108.0000, districts: [{ name: 'Pleiku', lat: 13.9833, lng: 108.0000 }] },
+  { name: 'Hà Giang', lat: 22.8233, lng: 104.9836 },
+  { name: 'Hà Nam', lat: 20.5411, lng: 105.9139 },
+  { name: 'Hà Tĩnh', lat: 18.3428, lng: 105.9057 },
+  { name: 'Hải Dương', lat: 20.9373, lng: 106.3146 },
+  { name: 'Hậu Giang', lat: 9.7845, lng: 105.4701 },
+  { name: 'Hòa Bình', lat: 20.8133, lng: 105.3383 },
+  { name: 'Hưng Yên', lat: 20.6464, lng: 106.0511 },
+  { name: 'Khánh Hòa', lat: 12.2388, lng: 109.1967, districts: [{ name: 'Nha Trang', lat: 12.2388, lng: 109.1967 }] },
+  { name: 'Kiên Giang', lat: 10.0125, lng: 105.0809, districts: [{ name: 'Phú Quốc', lat: 10.2270, lng: 103.9637 }] },
+  { name: 'Kon Tum', lat: 14.3498, lng: 108.0005 },
+  { name: 'Lai Châu', lat: 22.3964, lng: 103.4582 },
+  { name: 'Lâm Đồng', lat: 11.9404, lng: 108.4583, districts: [{ name: 'Đà Lạt', lat: 11.9404, lng: 108.4583, aliases: ['dalat'] }] },
+  { name: 'Lạng Sơn', lat: 21.8537, lng: 106.7615 },
+  { name: 'Lào Cai', lat: 22.4856, lng: 103.9707, districts: [{ name: 'Sa Pa', lat: 22.3364, lng: 103.8438, aliases: ['sapa'] }] },
+  { name: 'Long An', lat: 10.5360, lng: 106.4137 },
+  { name: 'Nam Định', lat: 20.4388, lng: 106.1621 },
+  { name: 'Nghệ An', lat: 18.6796, lng: 105.6813, districts: [{ name: 'Vinh', lat: 18.6796, lng: 105.6813 }] },
+  { name: 'Ninh Bình', lat: 20.2506, lng: 105.9745 },
+  { name: 'Ninh Thuận', lat: 11.5643, lng: 108.9886 },
+  { name: 'Phú Thọ', lat: 21.3227, lng: 105.4019, districts: [{ name: 'Việt Trì', lat: 21.3227, lng: 105.4019 }] },
+  { name: 'Phú Yên', lat: 13.0882, lng: 109.0929 },
+  { name: 'Quảng Bình', lat: 17.4689, lng: 106.6223 },
+  { name: 'Quảng Nam', lat: 15.5736, lng: 108.4740, districts: [{ name: 'Hội An', lat: 15.8801, lng: 108.3380 }] },
+  { name: 'Quảng Ngãi', lat: 15.1214, lng: 108.8044 },
+  { name: 'Quảng Ninh', lat: 20.9599, lng: 107.0425, districts: [{ name: 'Hạ Long', lat: 20.9599, lng: 107.0425 }] },
+  { name: 'Quảng Trị', lat: 16.8163, lng: 107.1003 },
+  { name: 'Sóc Trăng', lat: 9.6025, lng: 105.9739 },
+  { name: 'Sơn La', lat: 21.3270, lng: 103.9141 },
+  { name: 'Tây Ninh', lat: 11.3100, lng: 106.0983 },
+  { name: 'Thái Bình', lat: 20.4463, lng: 106.3366 },
+  { name: 'Thái Nguyên', lat: 21.5942, lng: 105.8482 },
+  { name: 'Thanh Hóa', lat: 19.8067, lng: 105.7852 },
+  { name: 'Thừa Thiên Huế', lat: 16.4637, lng: 107.5909, aliases: ['hue', 'tt hue'] },
+  { name: 'Tiền Giang', lat: 10.3600, lng: 106.3600, districts: [{ name: 'Mỹ Tho', lat: 10.3600, lng: 106.3600 }] },
+  { name: 'Trà Vinh', lat: 9.9347, lng: 106.3453 },
+  { name: 'Tuyên Quang', lat: 21.8236, lng: 105.2140 },
+  { name: 'Vĩnh Long', lat: 10.2537, lng: 105.9722 },
+  { name: 'Vĩnh Phúc', lat: 21.3089, lng: 105.6049 },
+  { name: 'Yên Bái', lat: 21.7229, lng: 104.9113 }
+];